@@ -0,0 +1,530 @@
+import Joi = require('joi');
+
+/**
+ * Map CQL types to Joi types
+ *
+ * The types are written against the ones of `joi` 17, an optional peer dependency that TypeScript users
+ * install, which an instance created with `require('joi-of-cql').create(require('joi'))` extends. The
+ * default instance extends `@hapi/joi` 15, so its types leave out what only `joi` 17 has.
+ */
+declare namespace joc {
+  /**
+   * The CQL types that are described by their name alone.
+   */
+  type NativeType =
+    | 'ascii' | 'bigint' | 'blob' | 'boolean' | 'counter' | 'date' | 'decimal' | 'double' | 'duration' | 'float'
+    | 'inet' | 'int' | 'smallint' | 'text' | 'time' | 'timestamp' | 'timeuuid' | 'tinyint' | 'uuid' | 'varchar'
+    | 'varint';
+
+  /**
+   * The collections, tuples and user-defined types, which are described by more than their name.
+   */
+  type ComplexType = 'map' | 'set' | 'list' | 'tuple' | 'udt';
+
+  /**
+   * The name of a CQL type, e.g. `text`, or the meta definition of a collection, tuple or user-defined type.
+   */
+  type TypeDescriptor = NativeType | ComplexTypeDescriptor;
+
+  interface ComplexTypeDescriptor {
+    type: ComplexType;
+    mapType?: [TypeDescriptor, TypeDescriptor];
+    setType?: TypeDescriptor;
+    listType?: TypeDescriptor;
+    tupleType?: TypeDescriptor[];
+    name?: string;
+    fields?: { [field: string]: TypeDescriptor };
+    frozen?: boolean;
+  }
+
+  /**
+   * The meta definition of a CQL type, as `toCql` returns it.
+   */
+  interface JoiMetaDefinition {
+    cql: true;
+    type: NativeType | ComplexType;
+    mapType?: [TypeDescriptor, TypeDescriptor];
+    setType?: TypeDescriptor;
+    listType?: TypeDescriptor;
+    tupleType?: TypeDescriptor[];
+    name?: string;
+    fields?: { [field: string]: TypeDescriptor };
+    frozen?: boolean;
+    static?: boolean;
+    ttl?: number;
+    immutable?: boolean;
+    counter?: boolean;
+    json?: boolean;
+    format?: IntegerFormat;
+    default?: string;
+    serialize?: (value: any) => any;
+    deserialize?: (value: any) => any;
+  }
+
+  /**
+   * `string`, `number` or `bigint`, the format that validated integers are converted to, where `number` keeps the
+   * integers that JavaScript cannot represent exactly as strings.
+   */
+  type IntegerFormat = 'string' | 'number' | 'bigint';
+
+  interface IntegerOptions<F extends IntegerFormat | undefined = IntegerFormat | undefined> {
+    format?: F;
+  }
+
+  /**
+   * The validated value of a 64-bit or arbitrary-precision integer in a format, as it is given without one.
+   */
+  type Integer<F extends IntegerFormat | undefined = undefined> =
+    F extends 'string' ? string :
+    F extends 'number' ? string | number :
+    F extends 'bigint' ? bigint :
+    string | number | bigint;
+
+  interface DefaultSpecifierOptions {
+    default?: string;
+  }
+
+  /**
+   * The type of a column, `json` for `cql.json()`, along with the options and modifiers of the column.
+   */
+  interface ColumnDefinition extends Omit<ComplexTypeDescriptor, 'type'> {
+    type: NativeType | ComplexType | 'json';
+    format?: IntegerFormat;
+    default?: string;
+    nullable?: boolean;
+    static?: boolean;
+    ttl?: number;
+    required?: boolean;
+    immutable?: boolean;
+  }
+
+  /**
+   * A table as plain data, e.g. loaded from a JSON or YAML file.
+   */
+  interface TableDefinition {
+    columns: { [column: string]: NativeType | 'json' | ColumnDefinition };
+    partitionKey?: string | string[];
+    clusteringKey?: ClusteringKey[];
+    lookupKeys?: string[];
+    defaultTtl?: number;
+    indexes?: IndexDefinition[];
+    materializedViews?: Array<MaterializedViewOptions & { name: string }>;
+    aliases?: { [from: string]: string };
+  }
+
+  /**
+   * An update of a `set`, which adds and removes values rather than replacing it.
+   */
+  interface SetDelta<T> {
+    add?: T[];
+    remove?: T[];
+  }
+
+  /**
+   * An update of a `list`, which prepends, appends, removes or replaces values by their index rather than
+   * replacing it.
+   */
+  interface ListDelta<T> {
+    prepend?: T[];
+    append?: T[];
+    remove?: T[];
+    index?: { [index: string]: T };
+  }
+
+  /**
+   * An update of a `counter`.
+   */
+  interface CounterDelta<T> {
+    increment?: T;
+    decrement?: T;
+  }
+
+  /**
+   * The value of a frozen collection, which is replaced as a whole.
+   */
+  type Frozen<T> = Exclude<T, SetDelta<any> | ListDelta<any>>;
+
+  /**
+   * The value of a column that is validated by a schema.
+   */
+  type ValueOf<S> = S extends Joi.AnySchema<infer T> ? T : unknown;
+
+  /**
+   * The values of the columns of a table, by their name.
+   */
+  type Columns<M> = { [K in keyof M]?: ValueOf<M[K]> };
+
+  /**
+   * The type of the rows of a table described by a schema, e.g. `joc.Row<typeof albums>`.
+   */
+  type Row<S> = S extends TableSchema<infer T> ? T : S extends Joi.ObjectSchema<infer T> ? T : never;
+
+  /**
+   * The version of joi that an instance extends, `15` for `@hapi/joi` 15 and `17` for `joi` 17.
+   */
+  type JoiVersion = 15 | 17;
+
+  /**
+   * The methods of every type of `joi` 17 that `@hapi/joi` 15 does not have.
+   */
+  interface Joi17Methods {
+    alter: never;
+    artifact: never;
+    cache: never;
+    cast: never;
+    custom: never;
+    deny: never;
+    external: never;
+    extract: never;
+    failover: never;
+    fork: never;
+    id: never;
+    keep: never;
+    message: never;
+    messages: never;
+    note: never;
+    prefs: never;
+    preferences: never;
+    presence: never;
+    result: never;
+    rule: never;
+    shared: never;
+    tag: never;
+    tailor: never;
+    tracer: never;
+    validateAsync: never;
+    warn: never;
+    warning: never;
+  }
+
+  /**
+   * The methods that a type of `joi` 17 has and the same type of `@hapi/joi` 15 does not.
+   */
+  type Joi17Only<S> = Joi17Methods & (
+    S extends Joi.AlternativesSchema<any> ? { conditional: never; match: never } :
+    S extends Joi.ArraySchema<any> ? { sort: never } :
+    S extends Joi.BooleanSchema<any> ? { sensitive: never } :
+    S extends Joi.DateSchema<any> ? { format: never } :
+    S extends Joi.NumberSchema<any> ? { sign: never } :
+    S extends Joi.ObjectSchema<any> ? { instance: never; ref: never; regex: never } :
+    S extends Joi.StringSchema<any> ? { case: never; domain: never; isoDuration: never; pattern: never } :
+    {}
+  );
+
+  /**
+   * A type of an instance of joi, without the methods that only `joi` 17 has when it extends `@hapi/joi` 15.
+   */
+  type Versioned<S, J extends JoiVersion> = J extends 15 ? S & Joi17Only<S> : S;
+
+  /**
+   * The operations that are added to every type.
+   */
+  interface ColumnExtensions {
+    /**
+     * Mark a column as static, so that its value is shared by every row of a partition.
+     */
+    static(): this;
+    /**
+     * Retrieve or define the TTL of the values of a column, in seconds.
+     */
+    ttl(): number | undefined;
+    ttl(seconds: number): this;
+    /**
+     * Mark a column as immutable, so that its value is not allowed when the `operation` is `update`.
+     */
+    immutable(): this;
+  }
+
+  /**
+   * A JSON Schema 2020-12, with the CQL types as `x-cql-type`.
+   */
+  interface JsonSchema {
+    'x-cql-type'?: string;
+    [keyword: string]: any;
+  }
+
+  interface CqlExtensions extends ColumnExtensions {
+    /**
+     * Return the meta definition of the type, if it is a CQL type.
+     */
+    toCql(): JoiMetaDefinition | undefined;
+    /**
+     * Convert the CQL type to JSON Schema, which allows any value for types that are not CQL types.
+     */
+    toJsonSchema(): JsonSchema;
+  }
+
+  /**
+   * A joi type with the operations of every type.
+   */
+  type Cql<S, J extends JoiVersion = 17> = Versioned<S, J> & CqlExtensions;
+
+  interface CreateTableOptions {
+    keyspace?: string;
+    clusteringOrder?: { [column: string]: 'asc' | 'desc' };
+    properties?: { [property: string]: any };
+  }
+
+  interface KeyspaceOptions {
+    keyspace?: string;
+  }
+
+  type ClusteringKey = string | { [column: string]: 'asc' | 'desc' };
+
+  type IndexTarget = 'keys' | 'values' | 'entries' | 'full';
+
+  interface IndexOptions {
+    name?: string;
+    using?: string;
+    options?: { [option: string]: string };
+    target?: IndexTarget;
+  }
+
+  interface IndexDefinition extends IndexOptions {
+    column: string;
+  }
+
+  interface MaterializedViewOptions {
+    partitionKey: string | string[];
+    clusteringKey?: ClusteringKey | ClusteringKey[];
+    columns?: string[];
+  }
+
+  interface MaterializedViewDefinition {
+    name: string;
+    partitionKey: string[];
+    clusteringKey: string[];
+    clusteringOrder: { [column: string]: 'asc' | 'desc' };
+    columns: string[];
+  }
+
+  interface SchemaError {
+    type: string;
+    path: string[];
+    message: string;
+  }
+
+  interface SchemaDiff {
+    added: Array<{ name: string; type: string }>;
+    dropped: Array<{ name: string; type: string | undefined }>;
+    changed: Array<{ name: string; from: string; to: string }>;
+    errors: SchemaError[];
+  }
+
+  interface Statement {
+    query: string;
+    params: any[];
+  }
+
+  interface WriteOptions {
+    ttl?: number;
+    timestamp?: number | string | bigint;
+  }
+
+  interface FindOptions<T> {
+    fields?: Array<keyof T & string>;
+    limit?: number;
+    reverse?: boolean;
+  }
+
+  /**
+   * The values that the rows that are selected have, where an array of values is restricted with `IN`.
+   */
+  type Criteria<T> = { [K in keyof T]?: T[K] | Array<NonNullable<T[K]>> };
+
+  interface StatementBuilder<T> {
+    insert(entity: T, options?: WriteOptions): Statement;
+    update(keys: T, changes: T, options?: WriteOptions): Statement;
+    remove(keys: T, options?: WriteOptions): Statement;
+    find(criteria: Criteria<T>, options?: FindOptions<T>): Statement;
+  }
+
+  /**
+   * The `types` of the cassandra-driver, each with a `fromString` function.
+   */
+  interface DriverTypes {
+    Long?: Function;
+    BigDecimal?: Function;
+    Integer?: Function;
+    Uuid?: Function;
+    TimeUuid?: Function;
+    InetAddress?: Function;
+    Tuple?: Function;
+  }
+
+  /**
+   * A row of `system_schema.columns`.
+   */
+  interface ColumnMetadata {
+    column_name: string;
+    kind: 'partition_key' | 'clustering' | 'regular' | 'static';
+    position: number;
+    type: string;
+    clustering_order: 'asc' | 'desc' | 'none';
+  }
+
+  /**
+   * A row of `system_schema.types`.
+   */
+  interface TypeMetadata {
+    type_name: string;
+    field_names: string[];
+    field_types: string[];
+  }
+
+  /**
+   * The result of a validation, where `error` is `null` when the value is valid.
+   */
+  interface ValidationResult<T> {
+    error: Joi.ValidationError | null;
+    value: T;
+  }
+
+  /**
+   * The operations that are added to objects, which describe the Cassandra table of their rows.
+   */
+  interface TableExtensions<T> extends ColumnExtensions {
+    lookupKeys(): string[];
+    lookupKeys(names: string[]): this;
+    lookupKeys(...names: string[]): this;
+    partitionKey(): string | string[];
+    partitionKey(name: string | string[]): this;
+    clusteringKey(): string | string[];
+    clusteringKey(name: ClusteringKey | ClusteringKey[]): this;
+    clusteringOrder(): { [column: string]: 'asc' | 'desc' };
+    defaultTtl(): number | null | undefined;
+    defaultTtl(seconds: number | null): this;
+    index(): IndexDefinition[];
+    index(column: keyof T & string, options?: IndexOptions): this;
+    materializedView(): MaterializedViewDefinition[];
+    materializedView(name: string, options: MaterializedViewOptions): this;
+    aliases(): { [from: string]: string };
+    aliases(from: string, to: string, options?: Joi.RenameOptions): this;
+    /**
+     * Return the meta definitions of the columns of the table, or the meta definition of a map or user-defined type.
+     */
+    toCql(): { [K in keyof T]: JoiMetaDefinition | undefined };
+    /**
+     * Convert the table to JSON Schema 2020-12, which OpenAPI 3.1 uses for its components.
+     */
+    toJsonSchema(): JsonSchema;
+    toCreateTable(tableName: string, options?: CreateTableOptions): string;
+    toCreateIndexes(tableName: string, options?: KeyspaceOptions): string[];
+    toCreateMaterializedViews(tableName: string, options?: KeyspaceOptions): string[];
+    toCreateType(options?: KeyspaceOptions): string;
+    /**
+     * Describe the table as plain data, which `cql.fromDefinition` creates the same schema from.
+     */
+    toDefinition(): TableDefinition;
+    serialize(entity: T): { [column: string]: any };
+    deserialize(row: { [column: string]: any }): T;
+    toDriverValues(entity: T, driverTypes: DriverTypes): { [column: string]: any };
+    fromDriverValues(row: { [column: string]: any }): T;
+    diffCql(next: TableSchema<any>): SchemaDiff;
+    toAlterTable(next: TableSchema<any>, tableName: string, options?: KeyspaceOptions): string[];
+    validateCqlSchema(): SchemaError[];
+    validateFor(operation: 'create' | 'update' | 'delete', value: any, options?: Joi.ValidationOptions):
+      ValidationResult<T>;
+    statements(tableName: string, options?: KeyspaceOptions): StatementBuilder<T>;
+  }
+
+  /**
+   * An object that describes a Cassandra table, whose rows are `T`.
+   */
+  type TableSchema<T, J extends JoiVersion = 17> = Versioned<Joi.ObjectSchema<T>, J> & TableExtensions<T>;
+
+  interface CqlTypes<J extends JoiVersion = 17> {
+    ascii(): Cql<Joi.StringSchema<string>, J>;
+    bigint<F extends IntegerFormat | undefined = undefined>(options?: IntegerOptions<F>):
+      Cql<Joi.AlternativesSchema<Integer<F>>, J>;
+    blob(): Cql<Joi.AlternativesSchema<Uint8Array | string>, J>;
+    boolean(): Cql<Joi.BooleanSchema<boolean>, J>;
+    counter<F extends IntegerFormat | undefined = undefined>(options?: IntegerOptions<F>):
+      Cql<Joi.AlternativesSchema<Integer<F> | CounterDelta<Integer<F>>>, J>;
+    date(): Cql<Joi.AlternativesSchema<string | number | Date>, J>;
+    decimal(): Cql<Joi.AlternativesSchema<string | number>, J>;
+    double(): Cql<Joi.AlternativesSchema<string | number>, J>;
+    duration(): Cql<Joi.AlternativesSchema<string | { months: number; days: number; nanoseconds: any }>, J>;
+    float(): Cql<Joi.AlternativesSchema<string | number>, J>;
+    inet(): Cql<Joi.StringSchema<string>, J>;
+    int(): Cql<Joi.NumberSchema<number>, J>;
+    json(): Cql<Joi.AnySchema<any>, J>;
+    json<M extends Joi.SchemaMap>(object: M): Cql<Joi.ObjectSchema<Columns<M>>, J>;
+    smallint(): Cql<Joi.NumberSchema<number>, J>;
+    text(): Cql<Joi.StringSchema<string>, J>;
+    time(): Cql<Joi.AlternativesSchema<string | number>, J>;
+    timestamp(options?: DefaultSpecifierOptions): Cql<Joi.AlternativesSchema<string | number | Date>, J>;
+    timeuuid(options?: DefaultSpecifierOptions): Cql<Joi.StringSchema<string>, J>;
+    tinyint(): Cql<Joi.NumberSchema<number>, J>;
+    uuid(options?: DefaultSpecifierOptions): Cql<Joi.StringSchema<string>, J>;
+    varchar(): Cql<Joi.StringSchema<string>, J>;
+    varint<F extends IntegerFormat | undefined = undefined>(options?: IntegerOptions<F>):
+      Cql<Joi.AlternativesSchema<Integer<F>>, J>;
+    map<V extends Joi.Schema>(keyType: NativeType | Joi.Schema | undefined, valueType: V):
+      Cql<Joi.ObjectSchema<{ [key: string]: ValueOf<V> }>, J>;
+    set<V extends Joi.Schema>(type: V): Cql<Joi.AlternativesSchema<Array<ValueOf<V>> | SetDelta<ValueOf<V>>>, J>;
+    list<V extends Joi.Schema>(type: V): Cql<Joi.AlternativesSchema<Array<ValueOf<V>> | ListDelta<ValueOf<V>>>, J>;
+    tuple<V extends Joi.Schema[]>(...types: V): Cql<Joi.ArraySchema<{ [K in keyof V]: ValueOf<V[K]> }>, J>;
+    udt<M extends { [field: string]: Joi.Schema }>(name: string, fields: M): Cql<Joi.ObjectSchema<Columns<M>>, J>;
+    frozen<S extends Joi.Schema>(type: S): Cql<Joi.AlternativesSchema<Frozen<ValueOf<S>>>, J>;
+    writeOptions(): Cql<Joi.ObjectSchema<WriteOptions>, J>;
+    create(type: NativeType | ComplexType | 'json', obj?: Partial<ColumnDefinition>): Cql<Joi.AnySchema, J>;
+    fromTableMetadata(rows: ColumnMetadata[], options?: { types?: TypeMetadata[] }):
+      TableSchema<{ [column: string]: any }, J>;
+    fromDefinition(definition: TableDefinition): TableSchema<{ [column: string]: any }, J>;
+  }
+
+  /**
+   * The operations of an instance of joi whose types are extended with the operations of joi-of-cql.
+   */
+  interface Extended<J extends JoiVersion> {
+    cql: CqlTypes<J>;
+    any<T = any>(): Cql<Joi.AnySchema<T>, J>;
+    alt<T = any>(...types: Joi.SchemaLike[]): Cql<Joi.AlternativesSchema<T>, J>;
+    alternatives<T = any>(...types: Joi.SchemaLike[]): Cql<Joi.AlternativesSchema<T>, J>;
+    array<T = any[]>(): Cql<Joi.ArraySchema<T>, J>;
+    binary<T = Uint8Array>(): Cql<Joi.BinarySchema<T>, J>;
+    bool<T = boolean>(): Cql<Joi.BooleanSchema<T>, J>;
+    boolean<T = boolean>(): Cql<Joi.BooleanSchema<T>, J>;
+    date<T = Date>(): Cql<Joi.DateSchema<T>, J>;
+    number<T = number>(): Cql<Joi.NumberSchema<T>, J>;
+    string<T = string>(): Cql<Joi.StringSchema<T>, J>;
+    /**
+     * Create an object, whose rows are inferred from the types of its keys.
+     */
+    object<M extends Joi.SchemaMap = {}>(schema?: M): TableSchema<Columns<M>, J>;
+    validate<S extends Joi.SchemaLike>(value: any, schema: S, options?: Joi.ValidationOptions):
+      ValidationResult<ValueOf<S>>;
+    /**
+     * Create another instance, of `@hapi/joi` 15 unless another joi, e.g. `joi` 17, is given.
+     */
+    create(): Root;
+    create(base: Joi.Root): ModernRoot;
+  }
+
+  /**
+   * The members of an instance of joi that are replaced by the ones of joi-of-cql.
+   */
+  type ExtendedMembers = keyof Extended<17>;
+
+  /**
+   * The members of an instance of `joi` 17 that `@hapi/joi` 15 does not have.
+   */
+  type Joi17Members =
+    | 'build' | 'cache' | 'checkPreferences' | 'custom' | 'expression' | 'function' | 'in' | 'isError' | 'isExpression'
+    | 'isSchema' | 'link' | 'override' | 'preferences' | 'prefs' | 'trace' | 'types' | 'untrace' | 'ValidationError'
+    | 'x';
+
+  /**
+   * The default instance, which extends `@hapi/joi` 15.
+   */
+  interface Root extends Omit<Joi.Root, ExtendedMembers | Joi17Members>, Extended<15> {}
+
+  /**
+   * An instance created with `create(require('joi'))`, which extends `joi` 17.
+   */
+  interface ModernRoot extends Omit<Joi.Root, ExtendedMembers>, Extended<17> {}
+}
+
+declare const joc: joc.Root;
+export = joc;
@@ -15,29 +15,182 @@
  * @typedef DefaultSpecifierOptions
  * @property {String} default - values vary based on which type of object is being defaulted
  *
+ * @typedef IntegerOptions
+ * @property {String} [format] - `string`, `number` or `bigint`, the format that validated values are converted to,
+ *    where `number` keeps the integers that JavaScript cannot represent exactly as strings
+ *
  * @callback ObjectConversionHandler
  * @param {Object} value - a property of the object being converted
  *
  * @callback ArrayConversionHandler
  * @param {Array} value - a property of the list being converted
+ *
+ * @typedef CreateTableOptions
+ * @property {String} [keyspace] - the keyspace that the table name is qualified with
+ * @property {Object.<String, String>} [clusteringOrder] - `asc` or `desc` for the clustering keys
+ * @property {Object} [properties] - table properties, e.g. `compaction` or `default_time_to_live`
+ *
+ * @typedef IndexOptions
+ * @property {String} [name] - the name of the index, which Cassandra generates when it is left out
+ * @property {String} [using] - `sasi` for a SASI index, or the class of another custom index
+ * @property {Object.<String, String>} [options] - the options of a custom index, e.g. `{ mode: 'CONTAINS' }`
+ * @property {String} [target] - `keys`, `values` or `entries` to index a collection, `full` for a frozen collection
+ *
+ * @typedef IndexDefinition
+ * The `IndexOptions` that are given for an index, along with the name of its `column`
+ *
+ * @typedef MaterializedViewOptions
+ * @property {(String|String[])} partitionKey - the columns of the partition key of the view
+ * @property {(String|Object|Array.<(String|Object)>)} [clusteringKey] - the columns of the clustering key of the view,
+ *    with their order like the `clusteringKey` of a table
+ * @property {String[]} [columns] - the columns that are selected into the view, every column when it is left out
+ *
+ * @typedef MaterializedViewDefinition
+ * @property {String} name - the name of the view
+ * @property {String[]} partitionKey - the columns of the partition key of the view
+ * @property {String[]} clusteringKey - the columns of the clustering key of the view
+ * @property {Object.<String, String>} clusteringOrder - `asc` or `desc` for each column of the clustering key
+ * @property {String[]} columns - the columns that are selected into the view, empty for every column
+ *
+ * @typedef {(String|JoiMetaDefinition)} TypeDescriptor
+ * The name of a CQL type, e.g. `text`, or the meta definition of a collection, tuple or user-defined type
+ *
+ * @typedef ColumnDefinition
+ * The `type` of a column, `json` for `cql.json()`, along with the fields that describe a collection, tuple or
+ * user-defined type, e.g. `setType`, and the options and modifiers of the column
+ * @property {String} type - the CQL type of the column
+ * @property {String} [format] - the format of the values of an integer type, see `IntegerOptions`
+ * @property {String} [default] - the default of a `timestamp`, `timeuuid` or `uuid`, see `DefaultSpecifierOptions`
+ * @property {Boolean} [frozen] - whether the collection, tuple or user-defined type is frozen
+ * @property {Boolean} [nullable] - whether the column allows `null`
+ * @property {Boolean} [static] - whether the column is static
+ * @property {Number} [ttl] - the TTL of the values of the column in seconds
+ * @property {Boolean} [required] - whether the column is required
+ * @property {Boolean} [immutable] - whether the column is immutable
+ *
+ * @typedef TableDefinition
+ * A table as plain data, e.g. loaded from a JSON or YAML file
+ * @property {Object.<String, (String|ColumnDefinition)>} columns - the columns of the table, or the names of their
+ *    types
+ * @property {(String|String[])} [partitionKey] - the columns of the partition key
+ * @property {Array.<(String|Object)>} [clusteringKey] - the columns of the clustering key, with their order like
+ *    `clusteringKey`
+ * @property {String[]} [lookupKeys] - the lookup keys of the table
+ * @property {Number} [defaultTtl] - the default TTL of the rows of the table
+ * @property {IndexDefinition[]} [indexes] - the secondary indexes of the table
+ * @property {MaterializedViewOptions[]} [materializedViews] - the materialized views of the table, with their `name`
+ * @property {Object.<String, String>} [aliases] - the columns that properties are renamed to
+ *
+ * @typedef SchemaError
+ * @property {String} type - identifies the kind of error, e.g. `cql.alter.type`
+ * @property {String[]} path - the name of the column that the error is for, if any
+ * @property {String} message - describes the error
+ *
+ * @typedef SchemaDiff
+ * @property {Object[]} added - the `name` and `type` of the columns that are added
+ * @property {Object[]} dropped - the `name` and `type` of the columns that are dropped
+ * @property {Object[]} changed - the `name` and the `from` and `to` types of the columns that change type
+ * @property {SchemaError[]} errors - the changes that Cassandra does not allow
+ *
+ * @typedef Statement
+ * @property {String} query - the CQL statement, with a `?` for each parameter
+ * @property {Array} params - the values of the parameters
+ *
+ * @typedef WriteOptions
+ * @property {Number} [ttl] - the time to live of the written values in seconds, `USING TTL`
+ * @property {(Number|String|BigInt)} [timestamp] - the time of the write in microseconds since the epoch,
+ *    `USING TIMESTAMP`
+ *
+ * @typedef StatementBuilder
+ * @property {function(Object, WriteOptions=): Statement} insert - insert an entity
+ * @property {function(Object, Object, WriteOptions=): Statement} update - update the columns given as changes of the
+ *    row with the primary key given as keys. Collection updates such as `{ add: [...] }` become `column = column + ?`
+ * @property {function(Object, WriteOptions=): Statement} remove - delete the rows of a partition, or of a clustering
+ *    key prefix, optionally with a `timestamp`
+ * @property {function(Object, Object=): Statement} find - select the rows of a partition, or of a clustering key
+ *    prefix, optionally limiting the `fields` and the number of rows with `limit`
+ *
+ * @typedef DriverTypes
+ * The `types` of the cassandra-driver, each with a `fromString` function, e.g. `Long.fromString('1')`
+ * @property {Function} [Long] - for `bigint` and `counter` values
+ * @property {Function} [BigDecimal] - for `decimal` values
+ * @property {Function} [Integer] - for `varint` values
+ * @property {Function} [Uuid] - for `uuid` values
+ * @property {Function} [TimeUuid] - for `timeuuid` values
+ * @property {Function} [InetAddress] - for `inet` values
+ * @property {Function} [Tuple] - for `tuple` values, with a `fromArray` function
+ *
+ * @typedef ColumnMetadata
+ * A row of `system_schema.columns`
+ * @property {String} column_name - the name of the column
+ * @property {String} kind - `partition_key`, `clustering`, `regular` or `static`
+ * @property {Number} position - the position of the column in the partition or clustering key, -1 otherwise
+ * @property {String} type - the CQL type of the column, e.g. `frozen<map<text, list<int>>>`
+ * @property {String} clustering_order - `asc` or `desc` for clustering columns, `none` otherwise
+ *
+ * @typedef TypeMetadata
+ * A row of `system_schema.types`
+ * @property {String} type_name - the name of the user-defined type
+ * @property {String[]} field_names - the names of the fields of the type
+ * @property {String[]} field_types - the CQL types of the fields of the type
  */
 
-var joi = require('@hapi/joi');
+/* global BigInt */
+var Joi = require('@hapi/joi');
 var uuid = require('uuid');
 var undef;
 
 //
-// These ugly beasts are the side effect of not having direct
-// access the base `joi` objects (i.e. Any). There is really
-// no good way to extend `joi` with additional operations or tests.
-//
-// These are used for optionally marking a schema object with additional meta data
-// so that we don't need as many properties that are disjointed from the
-// validation schema.
+// The operations that are added to the types of every instance that `create` extends joi into,
+// the ones of `proto` to its objects and the ones of `anyProto` to all of its types. They are
+// used for optionally marking a schema object with additional meta data so that we don't need
+// as many properties that are disjointed from the validation schema. The ones of `legacyProto`
+// are added to the types of `@hapi/joi` 15, other than its alternatives.
 //
-var proto = joi.object().constructor.prototype;
+var proto = {};
+var anyProto = {};
+var legacyProto = {};
 var slice = Array.prototype.slice.call.bind(Array.prototype.slice);
 
+//
+// The types that are described by more than their name in the meta of collections,
+// tuples and user-defined types, along with the meta fields that describe them.
+//
+var complexTypes = {
+  map: ['type', 'mapType', 'frozen'],
+  set: ['type', 'setType', 'frozen'],
+  list: ['type', 'listType', 'frozen'],
+  tuple: ['type', 'tupleType', 'frozen'],
+  udt: ['type', 'name', 'fields', 'frozen']
+};
+var freezable = Object.keys(complexTypes);
+
+//
+// The types that are described by their name alone.
+//
+var nativeTypes = [
+  'ascii', 'bigint', 'blob', 'boolean', 'counter', 'date', 'decimal', 'double', 'duration', 'float', 'inet',
+  'int', 'smallint', 'text', 'time', 'timestamp', 'timeuuid', 'tinyint', 'uuid', 'varchar', 'varint'
+];
+
+//
+// The targets of an index of a collection and the class of a SASI index.
+//
+var indexTargets = ['keys', 'values', 'entries', 'full'];
+var sasiIndexClass = 'org.apache.cassandra.index.sasi.SASIIndex';
+
+//
+// The reserved keywords of CQL, which can only be identifiers when they are quoted.
+//
+var reservedKeywords = [
+  'add', 'allow', 'alter', 'and', 'apply', 'asc', 'authorize', 'batch', 'begin', 'by', 'columnfamily', 'create',
+  'default', 'delete', 'desc', 'describe', 'drop', 'entries', 'execute', 'from', 'full', 'grant', 'if', 'in', 'index',
+  'infinity', 'insert', 'into', 'is', 'keyspace', 'limit', 'materialized', 'mbean', 'mbeans', 'modify', 'nan',
+  'norecursive', 'not', 'null', 'of', 'on', 'or', 'order', 'primary', 'rename', 'replace', 'revoke', 'schema',
+  'select', 'set', 'table', 'to', 'token', 'truncate', 'unlogged', 'unset', 'update', 'use', 'using', 'view', 'where',
+  'with'
+];
+
 /**
  * Defining or retrieving lookup key names
  *
@@ -63,12 +216,97 @@ proto.partitionKey = function (name) {
 /**
  * Defining or retrieving the name of the clustering key(s)
  *
- * @param {(String|String[])} [name] - defines the name of the clustering keys for the Cassandra table
+ * Each key can be the name of a column or an object with the order of the column, e.g. `{ created_at: 'desc' }`.
+ *
+ * @param {(String|Object|Array.<(String|Object)>)} [name] - defines the name of the clustering keys for the
+ *    Cassandra table
  * @returns {(String[]|Joi)} - depending on whether `name` is specified or not
  */
 proto.clusteringKey = function (name) {
   if (arguments.length === 0) return findMetaValue(this, 'cqlClusteringKey') || [];
-  return this.meta({ cqlClusteringKey: name });
+  var key = parseClusteringKey(name);
+  // plain names are kept as they are given
+  return this.meta({ cqlClusteringKey: Object.keys(key.order).length ? key.names : name, cqlClusteringOrder: key.order });
+};
+
+/**
+ * Retrieve the order of each of the clustering keys, `asc` unless it is given to `clusteringKey`.
+ *
+ * @returns {Object.<String, String>} - `asc` or `desc` by the name of each clustering key
+ */
+proto.clusteringOrder = function () {
+  var order = findMetaValue(this, 'cqlClusteringOrder') || {};
+  return toArray(this.clusteringKey()).reduce(function (memo, name) {
+    memo[name] = order[name] || 'asc';
+    return memo;
+  }, {});
+};
+
+/**
+ * Defining or retrieving the default TTL of the rows of the table, its `default_time_to_live`
+ *
+ * @param {?Number} [seconds] - defines the number of seconds that the rows of the Cassandra table live, `null` removes it
+ * @returns {(Number|Joi)} - depending on whether `seconds` is specified or not
+ */
+proto.defaultTtl = function (seconds) {
+  if (arguments.length === 0) return findMetaValue(this, 'cqlDefaultTtl');
+  return this.meta({ cqlDefaultTtl: seconds == null ? null : checkTtl(seconds) });
+};
+
+/**
+ * Defining or retrieving the secondary indexes of the table
+ *
+ * Every call adds an index on a column, where `options.using` is `sasi` for a SASI index or the class of another
+ * custom index.
+ *
+ * @param {String} [column] - the name of the indexed column
+ * @param {IndexOptions} [options] - the name, class, options and target of the index
+ * @returns {(IndexDefinition[]|Joi)} - depending on whether `column` is specified or not
+ */
+proto.index = function (column, options) {
+  if (arguments.length === 0) return findMetaValue(this, 'cqlIndexes') || [];
+  if (typeof column !== 'string') throw new Error('An index requires the name of its column, not ' + column);
+  options = options || {};
+  var target = options.target && String(options.target).toLowerCase();
+  if (target && indexTargets.indexOf(target) === -1) {
+    throw new Error('The index target of ' + column + ' must be one of ' + indexTargets.join(', ') + ', not ' +
+      options.target);
+  }
+  var index = { column: column, name: options.name, using: options.using, options: options.options, target: target };
+  Object.keys(index).forEach(function (key) {
+    if (index[key] === undefined) delete index[key];
+  });
+  return this.meta({ cqlIndexes: this.index().concat(index) });
+};
+
+/**
+ * Defining or retrieving the materialized views of the table
+ *
+ * Every call adds a view, replacing a previous view with the same name. The clustering key of a view can include its
+ * order, like the `clusteringKey` of the table.
+ *
+ * @param {String} [name] - the name of the view
+ * @param {MaterializedViewOptions} [options] - the primary key and the columns of the view
+ * @returns {(MaterializedViewDefinition[]|Joi)} - depending on whether `name` is specified or not
+ */
+proto.materializedView = function (name, options) {
+  if (arguments.length === 0) return findMetaValue(this, 'cqlMaterializedViews') || [];
+  if (typeof name !== 'string') throw new Error('A materialized view requires a name, not ' + name);
+  options = options || {};
+  var clusteringKey = parseClusteringKey(options.clusteringKey);
+  var view = {
+    name: name,
+    partitionKey: toArray(options.partitionKey),
+    clusteringKey: clusteringKey.names,
+    clusteringOrder: clusteringKey.names.reduce(function (memo, key) {
+      memo[key] = clusteringKey.order[key] || 'asc';
+      return memo;
+    }, {}),
+    columns: toArray(options.columns)
+  };
+  return this.meta({ cqlMaterializedViews: this.materializedView().filter(function (previous) {
+    return previous.name !== name;
+  }).concat(view) });
 };
 
 /**
@@ -80,7 +318,7 @@ proto.clusteringKey = function (name) {
  */
 proto.aliases = function (a) {
   if (a) return this.rename.apply(this, arguments);
-  return this._inner.renames.reduce(function (memo, rename) {
+  return renamesOf(this).reduce(function (memo, rename) {
     memo[rename.from] = rename.to;
     return memo;
   }, {});
@@ -92,11 +330,12 @@ proto.aliases = function (a) {
  * @returns {Object.<String, JoiMetaDefinition>} - the meta definitions of the objects children
  */
 proto.toCql = function () {
-  // maps can be objects without children defined
-  if (!this._inner.children) {
-    return findMeta(this);
+  var meta = findMeta(this);
+  // maps can be objects without children defined and user-defined types are objects that are CQL types themselves
+  var children = childrenOf(this);
+  if (meta || !children) {
+    return meta;
   }
-  var children = this._inner.children;
   return children.reduce(function (memo, child) {
     memo[child.key] = findMeta(child.schema);
     return memo;
@@ -104,350 +343,1639 @@ proto.toCql = function () {
 };
 
 /**
- * Return an object that can be used for configuring a Cassandra table.
+ * Generate the `CREATE TABLE` statement for a Cassandra table described by this schema.
  *
- * @returns {JoiMetaDefinition} - the meta definition of the object
+ * @param {String} tableName - the name of the table being created
+ * @param {CreateTableOptions} [options] - optional keyspace, clustering order and table properties
+ * @returns {String} - the CQL statement
  */
-joi.constructor.prototype.toCql = function () {
-  return findMeta(this);
+proto.toCreateTable = function (tableName, options) {
+  options = options || {};
+  var columns = this.toCql();
+  var partitionKey = toArray(this.partitionKey());
+  var clusteringKey = toArray(this.clusteringKey());
+
+  checkTable(tableName, columns, partitionKey, clusteringKey);
+
+  var definitions = Object.keys(columns).map(function (name) {
+    if (!columns[name]) {
+      throw new Error('Column ' + name + ' of table ' + tableName + ' is not a CQL type');
+    }
+    return quoteIdentifier(name) + ' ' + cqlTypeName(columns[name]) + (columns[name].static ? ' STATIC' : '');
+  });
+  var partition = partitionKey.map(quoteIdentifier).join(', ');
+  definitions.push('PRIMARY KEY (' + [partitionKey.length > 1 ? '(' + partition + ')' : partition]
+    .concat(clusteringKey.map(quoteIdentifier))
+    .join(', ') + ')');
+
+  var defaultTtl = this.defaultTtl();
+  var clusteringOrder = Object.assign({}, findMetaValue(this, 'cqlClusteringOrder'), options.clusteringOrder);
+  var properties = tableProperties(tableName, clusteringKey, Object.assign({}, options, {
+    clusteringOrder: Object.keys(clusteringOrder).length ? clusteringOrder : undefined,
+    // the properties that are given as options take precedence over the clustering order and default TTL of the schema
+    properties: Object.assign(defaultTtl == null ? {} : { default_time_to_live: defaultTtl }, options.properties)
+  }));
+  return 'CREATE TABLE IF NOT EXISTS ' + qualifyName(tableName, options.keyspace) + ' (\n  ' +
+    definitions.join(',\n  ') + '\n)' + (properties.length ? ' WITH ' + properties.join(' AND ') : '');
 };
 
-var types = module.exports = joi;
+/**
+ * Generate the `CREATE INDEX` statements for the indexes of the table described by this schema.
+ *
+ * @param {String} tableName - the name of the indexed table
+ * @param {Object} [options] - optional settings for the statements
+ * @param {String} [options.keyspace] - the keyspace that the table name is qualified with
+ * @returns {String[]} - the CQL statements
+ */
+proto.toCreateIndexes = function (tableName, options) {
+  var columns = this.toCql();
+  var partitionKey = toArray(this.partitionKey());
+  var table = qualifyName(tableName, (options || {}).keyspace);
+  return this.index().map(function (index) {
+    var error = indexError(columns, partitionKey, index);
+    if (error) throw new Error('Index of table ' + tableName + ' cannot be created: ' + error.message);
+    var className = index.using === 'sasi' ? sasiIndexClass : index.using;
+    return 'CREATE ' + (className ? 'CUSTOM ' : '') + 'INDEX IF NOT EXISTS ' +
+      (index.name ? quoteIdentifier(index.name) + ' ' : '') + 'ON ' + table + ' (' +
+      indexTarget(columns[index.column], index) + ')' +
+      (className ? ' USING ' + cqlLiteral(className) : '') +
+      (index.options ? ' WITH OPTIONS = ' + cqlLiteral(index.options) : '');
+  });
+};
 
 /**
- * Used for creating Int64 with string and number alternative formats
+ * Generate the `CREATE MATERIALIZED VIEW` statements for the views of the table described by this schema. Every
+ * column of the primary key of a view is restricted with `IS NOT NULL`, as Cassandra requires.
  *
- * @param {String} name - the type of int64 value
- * @returns {Joi} - the validator
+ * @param {String} tableName - the name of the base table of the views
+ * @param {Object} [options] - optional settings for the statements
+ * @param {String} [options.keyspace] - the keyspace that the table and view names are qualified with
+ * @returns {String[]} - the CQL statements
  */
-function int64(name) {
-  return joi.alternatives().meta({ cql: true, type: name }).try(
-    // a string that represents a number that is larger than JavaScript can handle
-    joi.string().regex(/^-?\d{1,19}$/m),
-    // any integer that can be represented in JavaScript
-    joi.number().integer()
-  );
-}
+proto.toCreateMaterializedViews = function (tableName, options) {
+  var keyspace = (options || {}).keyspace;
+  var columns = this.toCql();
+  var keys = toArray(this.partitionKey()).concat(toArray(this.clusteringKey()));
+  return this.materializedView().map(function (view) {
+    var errors = viewErrors(columns, keys, view);
+    if (errors.length) {
+      throw new Error('Materialized view ' + view.name + ' cannot be created: ' + errors.map(function (error) {
+        return error.message;
+      }).join(', '));
+    }
+    var viewKeys = view.partitionKey.concat(view.clusteringKey);
+    // the columns of the primary key of the view are always selected
+    var selected = view.columns.length ? viewKeys.concat(view.columns.filter(function (name) {
+      return viewKeys.indexOf(name) === -1;
+    })) : [];
+    var partition = view.partitionKey.map(quoteIdentifier).join(', ');
+    var properties = tableProperties(view.name, view.clusteringKey, { clusteringOrder: view.clusteringKey.length ?
+      view.clusteringOrder : undefined });
+    return 'CREATE MATERIALIZED VIEW IF NOT EXISTS ' + qualifyName(view.name, keyspace) + ' AS\n' +
+      '  SELECT ' + (selected.length ? selected.map(quoteIdentifier).join(', ') : '*') +
+      ' FROM ' + qualifyName(tableName, keyspace) + '\n' +
+      '  WHERE ' + viewKeys.map(function (name) {
+      return quoteIdentifier(name) + ' IS NOT NULL';
+    }).join(' AND ') + '\n' +
+      '  PRIMARY KEY (' + [view.partitionKey.length > 1 ? '(' + partition + ')' : partition]
+      .concat(view.clusteringKey.map(quoteIdentifier)).join(', ') + ')' +
+      (properties.length ? '\n  WITH ' + properties.join(' AND ') : '');
+  });
+};
 
 /**
- * Used for creating decimal with string and number alternative formats
+ * Convert an entity to the values that are written to Cassandra, with the `serialize` handler of each column.
  *
- * @param {String} name - the type of decimal value
- * @returns {Joi} - the validator
+ * Properties that are `rename`d are mapped to their columns, and `null` values are left as they are.
+ *
+ * @param {Object} entity - the values of the columns
+ * @returns {Object} - the serialized values by the name of their column
  */
-function decimal(name) {
-  return joi.alternatives().meta({ cql: true, type: name }).try(
-    // a string that represents a number that is larger than JavaScript can handle
-    joi.string().regex(/^-?\d+(\.\d+)?$/m),
-    // any number that can be represented in JavaScript
-    joi.number()
-  );
-}
+proto.serialize = function (entity) {
+  var aliases = this.aliases();
+  return convertColumns(this.toCql(), entity, handlerOf('serialize'), function (key) {
+    return aliases[key] || key;
+  });
+};
 
+/**
+ * Convert a row that is read from Cassandra with the `deserialize` handler of each column.
+ *
+ * @param {Object} row - the values of the columns
+ * @returns {Object} - the deserialized values, `null` values are left as they are
+ */
+proto.deserialize = function (row) {
+  return convertColumns(this.toCql(), row, handlerOf('deserialize'), function (key) {
+    return key;
+  });
+};
 
 /**
- * Each of the member functions returns a joi object that will validate the value given for the expected data type based on Cassandra and JavaScript specifications.
+ * Convert the values of an entity to the types of the Node.js Cassandra driver, e.g. a `bigint` to a `Long`.
  *
- * Cassandra Data Types
+ * The types are given rather than required, so anything with the same `fromString` functions can be used.
+ * Properties that are `rename`d are mapped to their columns, and `null` values are left as they are.
  *
- * type      constants description
- * ----------------------------------
- * ascii     strings   ASCII character string
- * bigint    integers  64-bit signed long
- * blob      blobs     Arbitrary bytes (no validation)
- * boolean   booleans  true or false
- * counter   integers  Counter column (64-bit signed value). See [111]Counters for
- *                     details
- * decimal   integers, Variable-precision decimal
- *           floats
- * double    integers  64-bit IEEE-754 floating point
- * float     integers, 32-bit IEEE-754 floating point
- *           floats
- *                     An IP address. It can be either 4 bytes long (IPv4) or 16
- * inet      strings   bytes long (IPv6). There is no inet constant, IP address
- *                     should be inputed as strings
- * int       integers  32-bit signed int
- * text      strings   UTF8 encoded string
- *           integers, A timestamp. Strings constant are allow to input timestamps
- * timestamp strings   as dates, see [112]Working with dates below for more
- *                     information.
- * timeuuid  uuids     Type 1 UUID. This is generally used as a “conflict-free”
- *                     timestamp. Also see the [113]functions on Timeuuid
- * uuid      uuids     Type 1 or type 4 UUID
- * varchar   strings   UTF8 encoded string
- * varint    integers  Arbitrary-precision integer
+ * @param {Object} entity - the values of the columns
+ * @param {DriverTypes} driverTypes - the `types` of the cassandra-driver, i.e. `require('cassandra-driver').types`
+ * @returns {Object} - the converted values by the name of their column
+ */
+proto.toDriverValues = function (entity, driverTypes) {
+  var aliases = this.aliases();
+  return convertColumns(this.toCql(), entity, function (meta, value) {
+    return toDriverValue(typeDescriptor(meta), value, driverTypes);
+  }, function (key) {
+    return aliases[key] || key;
+  });
+};
+
+/**
+ * Convert the values of a row that is read with the Node.js Cassandra driver to values that pass validation,
+ * e.g. a `Long` to a string.
  *
- * @see {@link https://cassandra.apache.org/doc/cql3/CQL.html}
+ * @param {Object} row - the values of the columns
+ * @returns {Object} - the converted values, `null` values are left as they are
+ */
+proto.fromDriverValues = function (row) {
+  return convertColumns(this.toCql(), row, function (meta, value) {
+    return fromDriverValue(typeDescriptor(meta), value);
+  }, function (key) {
+    return key;
+  });
+};
+
+/**
+ * Compare this schema of a table with a newer version of it, flagging the changes that Cassandra does not allow.
  *
- * @mixin
+ * @param {Joi} next - the newer version of the schema
+ * @returns {SchemaDiff} - the columns that are added, dropped or changed and the changes that are not allowed
  */
-types.cql = {
-  ascii: function () {
-    return joi.string().allow('').strict(true).meta({ cql: true, type: 'ascii' });
-  },
-  bigint: function () {
-    return int64('bigint');
-  },
-  blob: function () {
-    return joi.alternatives().meta({ cql: true, type: 'blob' }).try(
-      joi.binary(),
-      joi.string().hex()
-    );
-  },
-  boolean: function () {
-    return joi.boolean().meta({ cql: true, type: 'boolean' });
-  },
-  counter: function () {
-    return int64('counter');
-  },
-  decimal: function () {
-    return decimal('decimal');
-  },
-  double: function () {
-    return decimal('double');
-  },
-  float: function () {
-    return decimal('float');
-  },
-  inet: function () {
-    return joi.string()
-      .meta({ cql: true, type: 'inet' })
-      .ip({
-        version: ['ipv4', 'ipv6'],
-        cidr: 'optional'
-      });
-  },
-  int: function () {
-    return joi.number()
-      .integer()
-      .meta({ cql: true, type: 'int' })
-      .min(-0x80000000)
-      .max(0x7fffffff);
-  },
-  /**
-   * @param {Object} [object] - the definition object for joi.object(object)
-   * @see {@link https://github.com/hapijs/joi/blob/v8.0.4/API.md#object}
-   * @returns {Joi} - the validator
-   */
-  json: function (object) {
-    if (object) {
-      return convertToJsonOnValidate(joi.object(object).meta({
-        cql: true,
-        type: 'text',
-        serialize: JSON.stringify,
-        deserialize: JSON.parse
-      }));
+proto.diffCql = function (next) {
+  var previousColumns = this.toCql();
+  var nextColumns = next.toCql();
+  var diff = { added: [], dropped: [], changed: [], errors: [] };
+
+  ['partitionKey', 'clusteringKey'].forEach(function (key) {
+    var from = toArray(this[key]());
+    var to = toArray(next[key]());
+    if (from.join() !== to.join()) {
+      diff.errors.push(schemaError('cql.alter.' + key, [], 'the ' + key + ' cannot be changed from ' +
+        JSON.stringify(from) + ' to ' + JSON.stringify(to)));
     }
-    return convertToJsonOnValidate(
-      joi.any().meta({
-        cql: true,
-        type: 'text',
-        serialize: JSON.stringify,
-        deserialize: JSON.parse
-      })
-    );
-  },
-  text: function () {
-    return joi.string().allow('').strict(true).meta({ cql: true, type: 'text' });
-  },
-  /**
-   * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
-   * @returns {Joi} - the validator
-   */
-  timestamp: function (options) {
-    var validator = joi.alternatives().meta({ cql: true, type: 'timestamp', default: options && options.default }).try(
-      joi.number().integer(),
-      joi.date().iso()
-    );
-    return defaultify('date', validator, options);
-  },
-  /**
-   * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
-   * @returns {Joi} - the validator
-   */
-  timeuuid: function (options) {
-    var validator = joi.string().meta({ cql: true, type: 'timeuuid', default: options && options.default }).guid();
-    return defaultify('uuid', validator, { default: defaultUuid(options, 'v1') });
-  },
-  /**
-   * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
-   * @returns {Joi} - the validator
-   */
-  uuid: function (options) {
-    var validator = joi.string().meta({ cql: true, type: 'uuid', default: options && options.default }).guid();
-    return defaultify('uuid', validator, { default: defaultUuid(options, 'v4') });
-  },
-  varchar: function () {
-    return joi.string().allow('').meta({ cql: true, type: 'varchar' });
-  },
-  varint: function () {
-    return joi.alternatives().meta({ cql: true, type: 'varint' }).try(
-      // a string that represents a number that is larger than JavaScript can handle
-      joi.string().regex(/^-?\d+$/m),
-      // any integer that can be represented in JavaScript
-      joi.number().integer()
-    );
-  },
-  /**
-   * Create a joi object that can validate a `map` for Cassandra.
-   *
-   * @param {(String|Joi)} keyType - used for validating the fields of the object, ignored currently
-   * @param {Joi} valueType - used for validating the values of the fields in the object
-   * @returns {Joi} - the validator
-   */
-  map: function (keyType, valueType) {
-    var meta = findMeta(valueType);
-    return joi.object().meta({
-      cql: true,
-      type: 'map',
-      mapType: ['text', meta.type],
-      serialize: convertMap(meta.serialize),
-      deserialize: convertMap(meta.deserialize)
-    }).pattern(/[-\w]+/, valueType);
-  },
-  /**
-   * Create a joi object that can validate a `set` for Cassandra.
-   *
-   * @param {Joi} type - used for validating the values of the set
-   * @returns {Joi} - the validator
-   */
-  set: function (type) {
-    var meta = findMeta(type);
-    var set = joi.array().sparse(false).unique().items(type);
-    return joi.alternatives().meta({
-      cql: true,
-      type: 'set',
-      setType: meta.type,
-      serialize: convertArray(meta.serialize),
-      deserialize: convertArray(meta.deserialize)
-    }).try(set, joi.object().keys({
-      add: set,
-      remove: set
-    }).or('add', 'remove').unknown(false));
-  },
-  /**
-   * Create a joi object that can validate a `list` for Cassandra.
-   *
-   * @param {Joi} type - used for validating the values in the list
-   * @returns {Joi} - the validator
-   */
-  list: function (type) {
-    var meta = findMeta(type);
-    var list = joi.array().sparse(false).items(type);
-    return joi.alternatives().meta({
-      cql: true,
-      type: 'list',
-      listType: meta.type,
-      serialize: convertArray(meta.serialize),
-      deserialize: convertArray(meta.deserialize)
-    }).try(list, joi.object().keys({
-      prepend: list,
-      append: list,
-      remove: list,
-      index: joi.object().pattern(/^\d+$/, type)
-    }).or('prepend', 'append', 'remove', 'index').unknown(false));
-  }
-};
-
-/**
- *
- * @param {String} type - One of the properties of `types.cql` that is a function that
- *    accepts the options specified in the `obj` argument.
- * @param {Object} obj - specifies the options for the given types.cql `type`
- * @param {String[]} [mapType] - when specifying a CQL type of 'map', this contains two arguments for `types.cql.map`
- * @returns {Joi} - the validator
- */
-types.cql.create = function (type, obj) {
-  var cqlType;
+  }, this);
 
-  if (type === 'map') {
-    cqlType = types.cql.map(types.cql[obj.mapType[0]](), types.cql[obj.mapType[1]]());
-  } else if (['set', 'list'].indexOf(type) > -1) {
-    cqlType = types.cql[type](types.cql[obj[type + 'Type']]());
-  } else {
-    cqlType = types.cql[type](obj);
-  }
+  Object.keys(nextColumns).forEach(function (name) {
+    var to = nextColumns[name] && comparableTypeName(nextColumns[name]);
+    var from = previousColumns[name] && comparableTypeName(previousColumns[name]);
+    if (!to) {
+      diff.errors.push(schemaError('cql.column.type', [name], name + ' is not a CQL type'));
+    } else if (!(name in previousColumns)) {
+      diff.added.push({ name: name, type: cqlTypeName(nextColumns[name]) });
+    } else if (from && from !== to) {
+      diff.changed.push({ name: name, from: cqlTypeName(previousColumns[name]), to: cqlTypeName(nextColumns[name]) });
+      diff.errors.push(schemaError('cql.alter.type', [name], 'the type of ' + name + ' cannot be changed from ' +
+        from + ' to ' + to));
+    }
+  });
 
-  // obj can be undefined, look at map line #124
-  if (obj && obj.nullable) {
-    cqlType = cqlType.allow(null);
-  }
+  Object.keys(previousColumns).forEach(function (name) {
+    if (!(name in nextColumns)) {
+      diff.dropped.push({ name: name, type: previousColumns[name] && cqlTypeName(previousColumns[name]) });
+    }
+  });
 
-  return cqlType;
+  diff.errors = diff.errors.concat(
+    clusteringOrderErrors(this, next),
+    counterErrors(this, previousColumns, diff.added),
+    alterStaticErrors(previousColumns, nextColumns),
+    staticColumnErrors(diff.added.reduce(function (memo, column) {
+      memo[column.name] = nextColumns[column.name];
+      return memo;
+    }, {}), toArray(next.partitionKey()).concat(toArray(next.clusteringKey())), toArray(next.clusteringKey()))
+  );
+  return diff;
 };
 
-/*
- * Set a default value on a joi object based on specified options.
+/**
+ * Generate the `ALTER TABLE` statements that migrate a table from this schema to a newer version of it.
+ *
+ * @param {Joi} next - the newer version of the schema
+ * @param {String} tableName - the name of the table being altered
+ * @param {Object} [options] - optional settings for the statements
+ * @param {String} [options.keyspace] - the keyspace that the table name is qualified with
+ * @returns {String[]} - the CQL statements
  */
-var defaults = {
-  /**
-   * Set a default date based on the contextual operation in which the joi object is being validated.
-   *
-   * If 'update' is the specified default, default the value on both 'update' && 'create' operations
-   * otherwise only default if the operation matches the specified default.
-   *
-   * @param {Joi} validator - the object that is having a default set
-   * @param {DefaultSpecifierOptions} options - the options for setting the default
-   * @param {String} options.default - [create, update]
-   * @returns {Joi} - the new validator
-   */
-  date: function (validator, options) {
-    var when = options.default;
-    var fn = function (context, config) {
-      if ((when === config.context.operation) ||
-          (when === 'update' && ['create', 'update'].indexOf(config.context.operation) > -1)
-      ) {
-        return new Date().toISOString();
-      }
-      return undef;
-    };
-    fn.isJoi = true;
-    return validator.default(fn);
-  },
-
-  /**
-   * Set a default uuid when the the contextual operation is 'create'.
-   *
-   * @param {Joi} validator - the object that is having a default set
-   * @param {DefaultSpecifierOptions} options - the options for setting the default
-   * @param {String} options.default - [empty, v1, v4]
-   * @returns {Joi} - the new validator
-   */
-  uuid: function (validator, options) {
-    var fn = function (context, config) {
-      if (config.context.operation === 'create')
-        return options.default === 'empty' ? '00000000-0000-0000-0000-000000000000' : uuid[options.default]();
-      return undef;
-    };
-    fn.isJoi = true;
-    return validator.default(fn);
+proto.toAlterTable = function (next, tableName, options) {
+  var diff = this.diffCql(next);
+  var columns = next.toCql();
+  var table = qualifyName(tableName, (options || {}).keyspace);
+  if (diff.errors.length) {
+    throw new Error('Table ' + tableName + ' cannot be altered: ' + diff.errors.map(function (error) {
+      return error.message;
+    }).join(', '));
   }
+  return diff.added.map(function (column) {
+    return 'ALTER TABLE ' + table + ' ADD ' + quoteIdentifier(column.name) + ' ' + column.type +
+      (columns[column.name].static ? ' STATIC' : '');
+  }).concat(diff.dropped.map(function (column) {
+    return 'ALTER TABLE ' + table + ' DROP ' + quoteIdentifier(column.name);
+  }), (this.defaultTtl() || 0) === (next.defaultTtl() || 0) ? [] : [
+    // a TTL of 0 turns off the expiration of rows
+    'ALTER TABLE ' + table + ' WITH default_time_to_live = ' + (next.defaultTtl() || 0)
+  ]);
 };
 
 /**
- * Create a default based on a string identifier if one is provided.
+ * Check that the schema describes a valid Cassandra table, collecting every problem that is found.
  *
- * @param {String} type - types of defaults [date, uuid]
- * @param {Joi} validator - the object being defaulted
- * @param {DefaultSpecifierOptions} options - the options for creating the default
- * @returns {Joi} - the new validator, possibly with a default
+ * @returns {SchemaError[]} - the problems with the schema, empty when it is valid
  */
-function defaultify(type, validator, options) {
-  return options && options.default ? defaults[type](validator, options) : validator;
-}
+proto.validateCqlSchema = function () {
+  var columns = this.toCql();
+  var partitionKey = toArray(this.partitionKey());
+  var clusteringKey = toArray(this.clusteringKey());
+  var keys = partitionKey.concat(clusteringKey);
+  var errors = [];
+
+  if (!partitionKey.length) {
+    errors.push(schemaError('cql.partitionKey.required', [], 'a partitionKey is required'));
+  }
+  [['partitionKey', partitionKey], ['clusteringKey', clusteringKey], ['lookupKeys', this.lookupKeys()]]
+    .forEach(function (key) {
+      key[1].forEach(function (name) {
+        if (!(name in columns)) {
+          errors.push(schemaError('cql.' + key[0] + '.unknown', [name], name + ' of the ' + key[0] + ' is not a column'));
+        }
+      });
+    });
+  clusteringKey.forEach(function (name) {
+    if (partitionKey.indexOf(name) > -1) {
+      errors.push(schemaError('cql.clusteringKey.duplicate', [name], name + ' cannot be in both the partitionKey and ' +
+        'the clusteringKey'));
+    }
+  });
+
+  Object.keys(columns).forEach(function (name) {
+    var meta = columns[name];
+    if (!meta) {
+      errors.push(schemaError('cql.column.type', [name], name + ' is not a CQL type'));
+    } else if (keys.indexOf(name) > -1 && !isKeyType(meta)) {
+      errors.push(schemaError('cql.key.type', [name], name + ' cannot be part of the primary key because it is ' +
+        (meta.json ? 'json' : 'a ' + meta.type)));
+    }
+  });
+
+  return errors.concat(
+    mixedCounterErrors(columns, keys),
+    staticColumnErrors(columns, keys, clusteringKey),
+    ttlErrors(columns, keys, this.defaultTtl()),
+    this.index().map(function (index) {
+      return indexError(columns, partitionKey, index);
+    }).filter(Boolean),
+    this.materializedView().reduce(function (memo, view) {
+      return memo.concat(viewErrors(columns, keys, view));
+    }, [])
+  );
+};
 
 /**
- * Find the meta object that has the key given.
+ * Validate a value for an operation on a row of the table described by this schema. Every operation requires the
+ * whole primary key. Creating a row requires the columns that do not allow `null`, have no default and are not
+ * explicitly optional, and does not allow updates of collections, e.g. `{ add: [...] }`. Updates do not allow
+ * immutable columns, and updates and deletes allow any of the other columns to be left out.
  *
- * @param {Joi} any - the validator to be inspected
- * @param {String} key - the name of the field in the meta object that we are looking for
- * @returns {JoiMetaDefinition} - the result
+ * @param {String} operation - `create`, `update` or `delete`, which is added to the `context` of the validation
+ * @param {Object} value - the value being validated
+ * @param {Object} [options] - the options of `joi.validate`
+ * @returns {Object} - the `error`, or `null`, and the validated `value`
  */
-function findMeta(any, key) {
+proto.validateFor = function (operation, value, options) {
+  if (['create', 'update', 'delete'].indexOf(operation) === -1) {
+    throw new Error('Values can only be validated for the create, update or delete operations, not ' + operation);
+  }
+  options = options || {};
+  return validate.call(joiOf(this), value, operationSchema(this, operation), Object.assign({}, options, {
+    context: Object.assign({}, options.context, { operation: operation })
+  }));
+};
+
+/**
+ * Create a builder of parameterized `INSERT`, `UPDATE`, `DELETE` and `SELECT` statements for a table with this schema.
+ *
+ * @param {String} tableName - the name of the table
+ * @param {Object} [options] - optional settings for the statements
+ * @param {String} [options.keyspace] - the keyspace that the table name is qualified with
+ * @returns {StatementBuilder} - the builder
+ */
+proto.statements = function (tableName, options) {
+  var table = {
+    name: tableName,
+    qualifiedName: qualifyName(tableName, (options || {}).keyspace),
+    columns: this.toCql(),
+    aliases: this.aliases(),
+    partitionKey: toArray(this.partitionKey()),
+    clusteringKey: toArray(this.clusteringKey()),
+    clusteringOrder: this.clusteringOrder(),
+    writeOptions: joiOf(this).cql.writeOptions()
+  };
+  table.counter = Object.keys(table.columns).some(function (name) {
+    return Boolean(table.columns[name]) && table.columns[name].type === 'counter';
+  });
+  return {
+    insert: insertStatement.bind(null, table),
+    update: updateStatement.bind(null, table),
+    remove: deleteStatement.bind(null, table),
+    find: selectStatement.bind(null, table)
+  };
+};
+
+/**
+ * Generate the `CREATE TYPE` statement for a user-defined type created with `cql.udt`.
+ *
+ * @param {Object} [options] - optional settings for the statement
+ * @param {String} [options.keyspace] - the keyspace that the type name is qualified with
+ * @returns {String} - the CQL statement
+ */
+proto.toCreateType = function (options) {
+  var meta = findMeta(this);
+  if (!meta || meta.type !== 'udt') {
+    throw new Error('CREATE TYPE can only be generated for a user-defined type');
+  }
+  return 'CREATE TYPE IF NOT EXISTS ' + qualifyName(meta.name, (options || {}).keyspace) + ' (\n  ' +
+    Object.keys(meta.fields).map(function (name) {
+      // nested user-defined types and collections must be frozen in the fields of a user-defined type
+      return quoteIdentifier(name) + ' ' + cqlTypeName(meta.fields[name], true);
+    }).join(',\n  ') + '\n)';
+};
+
+/**
+ * Convert this schema to JSON Schema 2020-12, which OpenAPI 3.1 uses for its components. Each column has its CQL
+ * type as `x-cql-type`, and the updates of collections and counters, e.g. `{ add: [...] }`, are `oneOf` the
+ * values of the column.
+ *
+ * @returns {Object} - the JSON Schema of the rows of the table
+ */
+proto.toJsonSchema = function () {
+  var children = childrenOf(this);
+  // like `toCql`, maps and user-defined types are CQL types themselves
+  if (findMeta(this) || !children) return anyProto.toJsonSchema.call(this);
+  var schema = {
+    type: 'object',
+    properties: children.reduce(function (memo, child) {
+      // the children that are created with another joi do not have the operations of joi-of-cql
+      memo[child.key] = (child.schema.toJsonSchema || anyProto.toJsonSchema).call(child.schema);
+      return memo;
+    }, {})
+  };
+  var required = children.filter(function (child) {
+    return isRequired(mutableOf(child.schema));
+  }).map(function (child) {
+    return child.key;
+  });
+  if (required.length) schema.required = required;
+  return schema;
+};
+
+/**
+ * Describe the table of this schema as plain data, which `cql.fromDefinition` creates the same schema from.
+ * Only the CQL types and the options and modifiers of the columns are described, not the other rules of joi.
+ *
+ * @returns {TableDefinition} - the definition of the table
+ */
+proto.toDefinition = function () {
+  var definition = {
+    columns: (childrenOf(this) || []).reduce(function (memo, child) {
+      memo[child.key] = columnDefinition(child.key, child.schema);
+      return memo;
+    }, {})
+  };
+  var clusteringKey = toArray(this.clusteringKey());
+  var aliases = this.aliases();
+  if (toArray(this.partitionKey()).length) definition.partitionKey = toArray(this.partitionKey());
+  if (clusteringKey.length) {
+    definition.clusteringKey = clusteringKeyDefinition(clusteringKey, findMetaValue(this, 'cqlClusteringOrder') || {});
+  }
+  if (this.lookupKeys().length) definition.lookupKeys = this.lookupKeys();
+  if (this.defaultTtl() != null) definition.defaultTtl = this.defaultTtl();
+  if (this.index().length) definition.indexes = JSON.parse(JSON.stringify(this.index()));
+  if (this.materializedView().length) definition.materializedViews = this.materializedView().map(viewDefinition);
+  if (Object.keys(aliases).length) definition.aliases = aliases;
+  return definition;
+};
+
+/**
+ * Return an object that can be used for configuring a Cassandra table.
+ *
+ * @returns {JoiMetaDefinition} - the meta definition of the object
+ */
+anyProto.toCql = function () {
+  return findMeta(this);
+};
+
+/**
+ * Convert the CQL type of a column to JSON Schema, with its CQL type as `x-cql-type`. Types that are not CQL
+ * types allow any value.
+ *
+ * @returns {Object} - the JSON Schema of the column
+ */
+anyProto.toJsonSchema = function () {
+  var meta = findMeta(this);
+  var schema = {};
+  if (meta && meta.json) {
+    // json columns are stored as text but hold any value
+    schema['x-cql-type'] = meta.type;
+  } else if (meta) {
+    schema = jsonSchemaOf(typeDescriptor(meta));
+  }
+  return allowsNull(mutableOf(this)) ? nullableJsonSchema(schema) : schema;
+};
+
+/**
+ * Mark a column as static, so that its value is shared by every row of a partition.
+ *
+ * @returns {Joi} - the validator
+ */
+anyProto.static = function () {
+  return this.meta({ static: true });
+};
+
+/**
+ * Defining or retrieving the TTL of the values of a column
+ *
+ * @param {Number} [seconds] - defines the number of seconds that the values of the column live
+ * @returns {(Number|Joi)} - depending on whether `seconds` is specified or not
+ */
+anyProto.ttl = function (seconds) {
+  if (arguments.length === 0) return findMetaValue(this, 'ttl');
+  return this.meta({ ttl: checkTtl(seconds) });
+};
+
+/**
+ * Mark a column as immutable, so that its value is not allowed when the `operation` in the context of the
+ * validation is `update`, unless `validateFor` finds the column in the primary key. `.statements` does not
+ * update it either.
+ *
+ * @returns {Joi} - the validator
+ */
+anyProto.immutable = function () {
+  // like the conditions of `counter`, but on any type, which `when` builds on both versions of joi
+  return this.meta({ immutable: true }).when('$operation', { is: 'update', then: joiOf(this).any().forbidden() });
+};
+
+/**
+ * Add the alternatives of a condition like `any.when` of `@hapi/joi` 15, which builds them with the alternatives of
+ * `@hapi/joi` itself, so that they are built with the ones of the instance instead and keep its operations.
+ *
+ * @param {(String|Object)} condition - the reference or schema that the condition is on
+ * @param {Object} options - the `is`, `then` and `otherwise` of the condition
+ * @returns {Joi} - the alternatives
+ */
+legacyProto.when = function (condition, options) {
+  var joi = joiOf(this);
+  var alternatives = {};
+  if (!options || typeof options !== 'object') {
+    // leaves the report of the invalid options to joi
+    return Object.getPrototypeOf(Joi.any()).when.call(this, condition, options);
+  }
+  ['is', 'then', 'otherwise'].forEach(function (key) {
+    if (!Object.prototype.hasOwnProperty.call(options, key)) return;
+    alternatives[key] = key === 'is' ? options.is : this.concat(joi.compile(options[key]));
+  }, this);
+
+  var obj = joi.alternatives().when(condition, alternatives);
+  obj._flags.presence = 'ignore';
+  obj._baseType = this;
+  return obj;
+};
+
+//
+// The limits of the numeric types that JavaScript numbers cannot check exactly.
+//
+var int64Range = [BigInt('-9223372036854775808'), BigInt('9223372036854775807')];
+var floatMax = 3.4028234663852886e38;
+
+//
+// The longest TTL that Cassandra allows, 20 years in seconds.
+//
+var maxTtl = 630720000;
+
+/**
+ * Find the reason that a number cannot be stored as a 32-bit IEEE-754 floating point number.
+ *
+ * @param {Number} value - the number being checked
+ * @returns {(String|Undefined)} - `float` when it is out of range, `floatPrecision` when it is too small
+ *    to be anything but zero, nothing when it can be stored
+ */
+function floatError(value) {
+  if (Math.abs(value) > floatMax) return 'float';
+  if (value !== 0 && Math.fround(value) === 0) return 'floatPrecision';
+  return undef;
+}
+
+//
+// The ways that the value of an integer type can be normalized to after it is validated.
+//
+var integerFormats = {
+  string: function (value) {
+    return String(value);
+  },
+  // a number when it is within the safe integers of JavaScript, a string otherwise
+  number: function (value) {
+    var number = Number(value);
+    return Number.isSafeInteger(number) ? number : String(value);
+  },
+  bigint: function (value) {
+    return BigInt(value);
+  }
+};
+
+//
+// The types of `@hapi/joi` 15 and of `joi` 17 that every instance extends, so that they can be given
+// the operations of `anyProto`, and the aliases of the types.
+//
+var baseTypes = {
+  legacy: ['any', 'alternatives', 'array', 'binary', 'boolean', 'date', 'func', 'number', 'object', 'string', 'symbol'],
+  modern: ['any', 'alternatives', 'array', 'binary', 'boolean', 'date', 'function', 'link', 'number', 'object', 'string',
+    'symbol']
+};
+var typeAliases = { alt: 'alternatives', bool: 'boolean', func: 'function' };
+
+//
+// The extensions of the types of joi, described apart from the version of joi that they extend: the
+// `messages` of their errors, a `check` that returns the name of the error for an invalid value, the
+// `convert`sion of a valid value, the `checks` that are added as rules and the `formats` of the `format` rule.
+//
+// The string and number types get the checks of the numeric types of Cassandra, used for the strings that
+// hold numbers that JavaScript cannot represent exactly, along with a type for native BigInt values and the
+// types of `json` columns, which are converted to JSON once they are validated.
+//
+var extensions = [{
+  type: 'string',
+  messages: {
+    int64: 'must be an integer between -9223372036854775808 and 9223372036854775807',
+    double: 'must be within the range of a 64-bit floating point number',
+    float: 'must be within the range of a 32-bit floating point number',
+    floatPrecision: 'must not be too small for a 32-bit floating point number'
+  },
+  checks: {
+    int64: function (value) {
+      // anything else does not match the pattern of the string, which reports its own error
+      if (!/^-?\d+$/.test(value)) return undef;
+      var number = BigInt(value);
+      return number < int64Range[0] || number > int64Range[1] ? 'int64' : undef;
+    },
+    double: function (value) {
+      return isFinite(Number(value)) ? undef : 'double';
+    },
+    float: function (value) {
+      return floatError(Number(value));
+    }
+  }
+}, {
+  type: 'bigint',
+  base: 'any',
+  messages: {
+    base: 'must be a BigInt',
+    int64: 'must be between -9223372036854775808 and 9223372036854775807'
+  },
+  check: function (value) {
+    return typeof value === 'bigint' ? undef : 'base';
+  },
+  checks: {
+    int64: function (value) {
+      return value < int64Range[0] || value > int64Range[1] ? 'int64' : undef;
+    }
+  }
+}, {
+  type: 'alternatives',
+  formats: integerFormats
+}, {
+  type: 'number',
+  messages: {
+    float: 'must be within the range of a 32-bit floating point number',
+    floatPrecision: 'must not be too small for a 32-bit floating point number'
+  },
+  checks: {
+    float: floatError
+  }
+}, {
+  type: 'json',
+  base: 'any',
+  convert: stringifyJson
+}, {
+  type: 'jsonObject',
+  base: 'object',
+  convert: stringifyJson
+}];
+
+/**
+ * Build an extension of `@hapi/joi` 15 from its description.
+ *
+ * @param {Joi} joi - the joi that is extended
+ * @param {Object} spec - the description of the extension, see `extensions`
+ * @returns {Object} - the extension
+ */
+function legacyExtension(joi, spec) {
+  var type = spec.type;
+  var extension = { name: type, base: joi[spec.base || type](), language: spec.messages };
+  if (spec.check || spec.convert) {
+    extension.pre = function (value, state, options) {
+      var error = spec.check && spec.check(value);
+      if (error) return this.createError(type + '.' + error, { value: value }, state, options);
+      return spec.convert ? spec.convert(value) : value;
+    };
+  }
+  extension.rules = Object.keys(spec.checks || {}).map(function (name) {
+    return legacyRule(type, name, spec.checks[name]);
+  });
+  if (spec.formats) {
+    extension.rules.push(Object.assign(legacyRule(type, 'format', null, function (value, params) {
+      return spec.formats[params.format](value);
+    }), {
+      params: {
+        format: joi.string().valid(Object.keys(spec.formats)).required()
+      }
+    }));
+  }
+  return extension;
+}
+
+/**
+ * Build a rule of an extension of `@hapi/joi` 15, which checks a value and converts it when it is valid.
+ *
+ * @param {String} type - the name of the extended type
+ * @param {String} name - the name of the rule
+ * @param {Function} [check] - returns the name of the error of an invalid value
+ * @param {Function} [convert] - converts a valid value, given the params of the rule
+ * @returns {Object} - the rule
+ */
+function legacyRule(type, name, check, convert) {
+  return {
+    name: name,
+    validate: function (params, value, state, options) {
+      var error = check && check(value);
+      if (error) return this.createError(type + '.' + error, { value: value }, state, options);
+      return convert ? convert(value, params) : value;
+    }
+  };
+}
+
+/**
+ * Build an extension of `joi` 17 from its description.
+ *
+ * @param {Joi} joi - the joi that is extended
+ * @param {Object} spec - the description of the extension, see `extensions`
+ * @returns {Object} - the extension
+ */
+function modernExtension(joi, spec) {
+  var type = spec.type;
+  var extension = { type: type, base: joi[spec.base || type](), messages: {}, rules: {} };
+  Object.keys(spec.messages || {}).forEach(function (name) {
+    extension.messages[type + '.' + name] = '{{#label}} ' + spec.messages[name];
+  });
+  if (spec.check || spec.convert) {
+    extension.validate = function (value, helpers) {
+      var error = spec.check && spec.check(value);
+      if (error) return { value: value, errors: helpers.error(type + '.' + error) };
+      return { value: spec.convert ? spec.convert(value) : value };
+    };
+  }
+  Object.keys(spec.checks || {}).forEach(function (name) {
+    extension.rules[name] = {
+      method: function () {
+        return this.$_addRule(name);
+      },
+      validate: function (value, helpers) {
+        var error = spec.checks[name](value);
+        return error ? helpers.error(type + '.' + error) : value;
+      }
+    };
+  });
+  if (spec.formats) {
+    extension.rules.format = {
+      method: function (format) {
+        return this.$_addRule({ name: 'format', args: { format: format } });
+      },
+      args: [{
+        name: 'format',
+        assert: joi.string().valid.apply(joi.string(), Object.keys(spec.formats)).required(),
+        message: 'must be one of ' + Object.keys(spec.formats).join(', ')
+      }],
+      validate: function (value, helpers, args) {
+        return spec.formats[args.format](value);
+      }
+    };
+  }
+  return extension;
+}
+
+//
+// A string of a number, which can be in scientific notation, e.g. 1.5e10
+//
+var numberPattern = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+
+//
+// A date literal, e.g. 2024-01-31, and a time literal, e.g. 13:45:00.123456789
+//
+var datePattern = /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+var timePattern = /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d{1,9})?$/;
+
+/**
+ * Normalize the values of an integer type to a single format after they are validated.
+ *
+ * @param {Joi} validator - the alternatives of the integer type
+ * @param {IntegerOptions} [options] - the format that values are normalized to
+ * @returns {Joi} - the validator
+ */
+function formatInteger(validator, options) {
+  // the format is kept in the meta as well, so that `toDefinition` can describe it
+  return options && options.format ? validator.format(options.format).meta({ format: options.format }) : validator;
+}
+
+/**
+ * Used for creating Int64 with string, number and BigInt alternative formats
+ *
+ * @param {Joi} joi - the instance that creates the validator
+ * @param {String} name - the type of int64 value
+ * @param {IntegerOptions} [options] - the format that values are normalized to
+ * @returns {Joi} - the validator
+ */
+function int64(joi, name, options) {
+  return formatInteger(joi.alternatives().meta({ cql: true, type: name }).try(
+    // a string that represents a number that is larger than JavaScript can handle
+    joi.string().regex(/^-?\d{1,19}$/).int64(),
+    // any integer that can be represented in JavaScript
+    joi.number().integer(),
+    joi.bigint().int64()
+  ), options);
+}
+
+/**
+ * Used for creating decimal with string and number alternative formats
+ *
+ * @param {Joi} joi - the instance that creates the validator
+ * @param {String} name - the type of decimal value
+ * @returns {Joi} - the validator
+ */
+function decimal(joi, name) {
+  var double = name === 'double';
+  var string = joi.string().regex(numberPattern);
+  return joi.alternatives().meta({ cql: true, type: name }).try(
+    // a string that represents a number that is larger or more precise than JavaScript can handle
+    double ? string.double() : string,
+    // any number that can be represented in JavaScript, which is exactly a double even when it is not a safe integer
+    double ? joi.number().unsafe() : joi.number()
+  );
+}
+
+/**
+ * Used for creating a 32-bit float with string and number alternative formats
+ *
+ * @param {Joi} joi - the instance that creates the validator
+ * @returns {Joi} - the validator
+ */
+function float(joi) {
+  return joi.alternatives().meta({ cql: true, type: 'float' }).try(
+    // a string of a number, which has the same range as a number
+    joi.string().regex(numberPattern).float(),
+    // the range of a 32-bit float goes well beyond the safe integers of JavaScript
+    joi.number().unsafe().float()
+  );
+}
+
+//
+// The modifiers that `create` applies, in order, when they are set in the meta of the type.
+//
+var createModifiers = {
+  frozen: function (validator, cql) {
+    return cql.frozen(validator);
+  },
+  nullable: function (validator) {
+    return validator.allow(null);
+  },
+  static: function (validator) {
+    return validator.static();
+  },
+  ttl: function (validator, cql, seconds) {
+    return validator.ttl(seconds);
+  },
+  required: function (validator) {
+    return validator.required();
+  },
+  immutable: function (validator) {
+    return validator.immutable();
+  }
+};
+
+//
+// The JSON Schemas of the types that are described by their name alone, in JSON Schema 2020-12 as OpenAPI 3.1
+// uses it. Like the validators, the integers and decimals that JavaScript cannot represent exactly can be strings.
+//
+var int64JsonSchema = { oneOf: [{ type: 'string', pattern: '^-?\\d{1,19}$' }, { type: 'integer' }] };
+var decimalJsonSchema = { oneOf: [{ type: 'string', pattern: numberPattern.source }, { type: 'number' }] };
+
+//
+// The addresses that `inet` accepts, as RFC 3986 describes them, with the CIDR prefix that it allows.
+//
+var decOctet = '(?:0?0?\\d|0?[1-9]\\d|1\\d\\d|2[0-4]\\d|25[0-5])';
+var ipv4Pattern = '(?:' + decOctet + '\\.){3}' + decOctet;
+var jsonSchemas = {
+  ascii: { type: 'string' },
+  bigint: int64JsonSchema,
+  blob: { type: 'string', pattern: '^[0-9a-fA-F]*$' },
+  boolean: { type: 'boolean' },
+  counter: { oneOf: [int64JsonSchema, {
+    type: 'object',
+    properties: { increment: int64JsonSchema, decrement: int64JsonSchema },
+    minProperties: 1,
+    maxProperties: 1,
+    additionalProperties: false
+  }] },
+  date: { oneOf: [
+    { type: 'string', pattern: datePattern.source },
+    { type: 'integer', minimum: 0, maximum: 0xffffffff }
+  ] },
+  decimal: decimalJsonSchema,
+  double: decimalJsonSchema,
+  duration: { oneOf: [{ type: 'string' }, {
+    type: 'object',
+    properties: { months: { type: 'integer' }, days: { type: 'integer' }, nanoseconds: {} },
+    required: ['months', 'days', 'nanoseconds']
+  }] },
+  float: decimalJsonSchema,
+  inet: { oneOf: [
+    { type: 'string', pattern: '^' + ipv4Pattern + '(?:\\/(?:3[0-2]|[12]?\\d))?$' },
+    { type: 'string', pattern: '^' + ipv6Pattern() + '(?:\\/(?:12[0-8]|1[01]\\d|[1-9]?\\d))?$' }
+  ] },
+  int: { type: 'integer', minimum: -0x80000000, maximum: 0x7fffffff },
+  smallint: { type: 'integer', minimum: -0x8000, maximum: 0x7fff },
+  text: { type: 'string' },
+  time: { oneOf: [
+    { type: 'string', pattern: timePattern.source },
+    { type: 'integer', minimum: 0, maximum: 86399999999999 }
+  ] },
+  timestamp: { oneOf: [{ type: 'integer' }, { type: 'string', format: 'date-time' }] },
+  timeuuid: { type: 'string', format: 'uuid' },
+  tinyint: { type: 'integer', minimum: -0x80, maximum: 0x7f },
+  uuid: { type: 'string', format: 'uuid' },
+  varchar: { type: 'string' },
+  varint: { oneOf: [{ type: 'string', pattern: '^-?\\d+$' }, { type: 'integer' }] }
+};
+
+/**
+ * Create the CQL types of an instance of joi.
+ *
+ * Each of the member functions returns a joi object that will validate the value given for the expected data type based on Cassandra and JavaScript specifications.
+ *
+ * Cassandra Data Types
+ *
+ * type      constants description
+ * ----------------------------------
+ * ascii     strings   ASCII character string
+ * bigint    integers  64-bit signed long
+ * blob      blobs     Arbitrary bytes (no validation)
+ * boolean   booleans  true or false
+ * counter   integers  Counter column (64-bit signed value). See [111]Counters for
+ *                     details
+ * date      strings,  A date without a time of day, as 'yyyy-mm-dd' or the
+ *           integers  number of days where 2^31 is the epoch
+ * decimal   integers, Variable-precision decimal
+ *           floats
+ * double    integers  64-bit IEEE-754 floating point
+ * duration  strings   A duration with nanosecond precision, e.g. 1h30m or P1DT2H
+ * float     integers, 32-bit IEEE-754 floating point
+ *           floats
+ *                     An IP address. It can be either 4 bytes long (IPv4) or 16
+ * inet      strings   bytes long (IPv6). There is no inet constant, IP address
+ *                     should be inputed as strings
+ * int       integers  32-bit signed int
+ * smallint  integers  16-bit signed int
+ * text      strings   UTF8 encoded string
+ *           strings,  A time of day with nanosecond precision, as
+ * time      integers  'hh:mm:ss[.fffffffff]' or nanoseconds since midnight
+ *           integers, A timestamp. Strings constant are allow to input timestamps
+ * timestamp strings   as dates, see [112]Working with dates below for more
+ *                     information.
+ * timeuuid  uuids     Type 1 UUID. This is generally used as a “conflict-free”
+ *                     timestamp. Also see the [113]functions on Timeuuid
+ * tinyint   integers  8-bit signed int
+ * uuid      uuids     Type 1 or type 4 UUID
+ * varchar   strings   UTF8 encoded string
+ * varint    integers  Arbitrary-precision integer
+ *
+ * @see {@link https://cassandra.apache.org/doc/cql3/CQL.html}
+ *
+ * @param {Joi} joi - the instance that creates the validators
+ * @returns {Object} - the CQL types, `types.cql`
+ */
+function cqlTypes(joi) {
+  var cql = {
+    ascii: function () {
+      return joi.string().allow('').strict(true).meta({ cql: true, type: 'ascii' });
+    },
+    /**
+     * @param {IntegerOptions} [options] - the format that values are normalized to
+     * @returns {Joi} - the validator
+     */
+    bigint: function (options) {
+      return int64(joi, 'bigint', options);
+    },
+    blob: function () {
+      return joi.alternatives().meta({ cql: true, type: 'blob' }).try(
+        joi.binary(),
+        joi.string().hex()
+      );
+    },
+    boolean: function () {
+      return joi.boolean().meta({ cql: true, type: 'boolean' });
+    },
+    /**
+     * Create a joi object that can validate a `counter` for Cassandra, either its value or an update of it,
+     * e.g. `{ increment: 1 }`. Counters can only be updated, so a value is not allowed when the `operation`
+     * in the context of the validation is `update`.
+     *
+     * @param {IntegerOptions} [options] - the format that values are normalized to
+     * @returns {Joi} - the validator
+     */
+    counter: function (options) {
+      var value = int64(joi, 'counter', options);
+      var update = joi.object().keys({
+        increment: value,
+        decrement: value
+      }).xor('increment', 'decrement').unknown(false);
+      return conditional(joi.alternatives().meta({ cql: true, type: 'counter', counter: true }), '$operation', {
+        is: 'update',
+        then: update,
+        otherwise: joi.alternatives().try(value, update)
+      });
+    },
+    date: function () {
+      return joi.alternatives().meta({ cql: true, type: 'date' }).try(
+        joi.string().regex(datePattern),
+        // the number of days as Cassandra stores them, centered on the epoch at 2^31
+        joi.number().integer().min(0).max(0xffffffff),
+        joi.date().strict()
+      );
+    },
+    decimal: function () {
+      return decimal(joi, 'decimal');
+    },
+    double: function () {
+      return decimal(joi, 'double');
+    },
+    duration: function () {
+      return joi.alternatives().meta({ cql: true, type: 'duration' }).try(
+        joi.string().regex(new RegExp('^-?(?:' + [
+          // a CQL duration literal, e.g. 1h30m
+          '(?:\\d+(?:y|mo|w|d|h|ms|m|s|us|µs|ns))+',
+          // an ISO-8601 duration, e.g. P1Y2M3DT4H5M6S
+          'P(?=\\d|T\\d)(?:\\d+Y)?(?:\\d+M)?(?:\\d+D)?(?:T(?=\\d)(?:\\d+H)?(?:\\d+M)?(?:\\d+S)?)?',
+          // an ISO-8601 duration in weeks, e.g. P2W
+          'P\\d+W',
+          // the alternative ISO-8601 format, e.g. P0001-02-03T04:05:06
+          'P\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}'
+        ].join('|') + ')$', 'i')),
+        // the shape of the duration type of the cassandra-driver
+        joi.object().keys({
+          months: joi.number().integer().required(),
+          days: joi.number().integer().required(),
+          nanoseconds: joi.alternatives().try(
+            joi.number().integer(),
+            joi.string().regex(/^-?\d{1,19}$/),
+            joi.object()
+          ).required()
+        })
+      );
+    },
+    float: function () {
+      return float(joi);
+    },
+    inet: function () {
+      return joi.string()
+        .meta({ cql: true, type: 'inet' })
+        .ip({
+          version: ['ipv4', 'ipv6'],
+          cidr: 'optional'
+        });
+    },
+    int: function () {
+      return joi.number()
+        .integer()
+        .meta({ cql: true, type: 'int' })
+        .min(-0x80000000)
+        .max(0x7fffffff);
+    },
+    /**
+     * @param {Object} [object] - the definition object for joi.object(object)
+     * @see {@link https://github.com/hapijs/joi/blob/v8.0.4/API.md#object}
+     * @returns {Joi} - the validator
+     */
+    json: function (object) {
+      if (object) {
+        return joi.jsonObject(object).meta({
+          cql: true,
+          type: 'text',
+          json: true,
+          serialize: stringifyJson,
+          deserialize: JSON.parse
+        });
+      }
+      return joi.json().meta({
+        cql: true,
+        type: 'text',
+        json: true,
+        serialize: stringifyJson,
+        deserialize: JSON.parse
+      });
+    },
+    smallint: function () {
+      return joi.number()
+        .integer()
+        .meta({ cql: true, type: 'smallint' })
+        .min(-0x8000)
+        .max(0x7fff);
+    },
+    text: function () {
+      return joi.string().allow('').strict(true).meta({ cql: true, type: 'text' });
+    },
+    time: function () {
+      return joi.alternatives().meta({ cql: true, type: 'time' }).try(
+        joi.string().regex(timePattern),
+        // the number of nanoseconds since midnight
+        joi.number().integer().min(0).max(86399999999999)
+      );
+    },
+    /**
+     * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
+     * @returns {Joi} - the validator
+     */
+    timestamp: function (options) {
+      var validator = joi.alternatives().meta({ cql: true, type: 'timestamp', default: options && options.default }).try(
+        joi.number().integer(),
+        joi.date().iso()
+      );
+      return defaultify('date', validator, options);
+    },
+    /**
+     * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
+     * @returns {Joi} - the validator
+     */
+    timeuuid: function (options) {
+      var validator = joi.string().meta({ cql: true, type: 'timeuuid', default: options && options.default }).guid();
+      return defaultify('uuid', validator, { default: defaultUuid(options, 'v1') });
+    },
+    tinyint: function () {
+      return joi.number()
+        .integer()
+        .meta({ cql: true, type: 'tinyint' })
+        .min(-0x80)
+        .max(0x7f);
+    },
+    /**
+     * @param {DefaultSpecifierOptions} [options] - optional way to define a default value
+     * @returns {Joi} - the validator
+     */
+    uuid: function (options) {
+      var validator = joi.string().meta({ cql: true, type: 'uuid', default: options && options.default }).guid();
+      return defaultify('uuid', validator, { default: defaultUuid(options, 'v4') });
+    },
+    varchar: function () {
+      return joi.string().allow('').meta({ cql: true, type: 'varchar' });
+    },
+    /**
+     * @param {IntegerOptions} [options] - the format that values are normalized to
+     * @returns {Joi} - the validator
+     */
+    varint: function (options) {
+      return formatInteger(joi.alternatives().meta({ cql: true, type: 'varint' }).try(
+        // a string that represents a number that is larger than JavaScript can handle
+        joi.string().regex(/^-?\d+$/),
+        // any integer that can be represented in JavaScript
+        joi.number().integer(),
+        joi.bigint()
+      ), options);
+    },
+    /**
+     * Create a joi object that can validate a `map` for Cassandra.
+     *
+     * @param {(String|Joi)} [keyType] - used for validating the fields of the object, either a validator or
+     *    the name of one of the `cql` types, `text` when it is not given
+     * @param {Joi} valueType - used for validating the values of the fields in the object
+     * @returns {Joi} - the validator
+     */
+    map: function (keyType, valueType) {
+      if (!keyType) {
+        keyType = cql.text();
+      } else if (typeof keyType === 'string') {
+        // like `cql.create`, the names of unknown types throw rather than falling back to `text`
+        keyType = cql.create(keyType);
+      }
+      // the fields of an object are always strings, so keys are converted when they are validated, e.g. '1' as an int
+      keyType = freezeNested(cql, keyType.strict(false));
+      valueType = freezeNested(cql, valueType);
+      var keyMeta = findMeta(keyType);
+      var meta = findMeta(valueType);
+      return joi.object().meta({
+        cql: true,
+        type: 'map',
+        mapType: [typeDescriptor(keyMeta), typeDescriptor(meta)],
+        serialize: convertMap(meta.serialize, keyMeta.serialize),
+        deserialize: convertMap(meta.deserialize, keyMeta.deserialize)
+      }).pattern(keyType, valueType);
+    },
+    /**
+     * Create a joi object that can validate a `set` for Cassandra.
+     *
+     * @param {Joi} type - used for validating the values of the set
+     * @returns {Joi} - the validator
+     */
+    set: function (type) {
+      type = freezeNested(cql, type);
+      var meta = findMeta(type);
+      var set = joi.array().sparse(false).unique().items(type);
+      return joi.alternatives().meta({
+        cql: true,
+        type: 'set',
+        setType: typeDescriptor(meta),
+        serialize: convertArray(meta.serialize),
+        deserialize: convertArray(meta.deserialize)
+      }).try(set, joi.object().keys({
+        add: set,
+        remove: set
+      }).or('add', 'remove').unknown(false));
+    },
+    /**
+     * Create a joi object that can validate a `list` for Cassandra.
+     *
+     * @param {Joi} type - used for validating the values in the list
+     * @returns {Joi} - the validator
+     */
+    list: function (type) {
+      type = freezeNested(cql, type);
+      var meta = findMeta(type);
+      var list = joi.array().sparse(false).items(type);
+      return joi.alternatives().meta({
+        cql: true,
+        type: 'list',
+        listType: typeDescriptor(meta),
+        serialize: convertArray(meta.serialize),
+        deserialize: convertArray(meta.deserialize)
+      }).try(list, joi.object().keys({
+        prepend: list,
+        append: list,
+        remove: list,
+        index: joi.object().pattern(/^\d+$/, type)
+      }).or('prepend', 'append', 'remove', 'index').unknown(false));
+    },
+    /**
+     * Create a joi object that can validate a `tuple` for Cassandra.
+     *
+     * @param {...Joi} type - used for validating the value at the same position of the tuple
+     * @returns {Joi} - the validator
+     */
+    tuple: function () {
+      var components = slice(arguments).map(function (component) {
+        return freezeNested(cql, component);
+      });
+      var metas = components.map(function (component) {
+        return findMeta(component);
+      });
+      return joi.array().ordered.apply(joi.array(), components).length(components.length).meta({
+        cql: true,
+        type: 'tuple',
+        tupleType: metas.map(typeDescriptor),
+        serialize: convertTuple(metas.map(function (meta) {
+          return meta.serialize;
+        })),
+        deserialize: convertTuple(metas.map(function (meta) {
+          return meta.deserialize;
+        }))
+      });
+    },
+    /**
+     * Create a joi object that can validate a user-defined type for Cassandra.
+     *
+     * @param {String} name - the name of the user-defined type
+     * @param {Object.<String, Joi>} fields - used for validating the fields of the user-defined type
+     * @returns {Joi} - the validator
+     */
+    udt: function (name, fields) {
+      fields = Object.keys(fields).reduce(function (memo, key) {
+        memo[key] = freezeNested(cql, fields[key]);
+        return memo;
+      }, {});
+      var metas = Object.keys(fields).reduce(function (memo, key) {
+        memo[key] = findMeta(fields[key]);
+        return memo;
+      }, {});
+      return joi.object(fields).meta({
+        cql: true,
+        type: 'udt',
+        name: name,
+        fields: Object.keys(metas).reduce(function (memo, key) {
+          memo[key] = typeDescriptor(metas[key]);
+          return memo;
+        }, {}),
+        serialize: convertFields(metas, 'serialize'),
+        deserialize: convertFields(metas, 'deserialize')
+      });
+    },
+    /**
+     * Mark a collection or user-defined type as `frozen`, which Cassandra reads and writes as a single value.
+     *
+     * @param {Joi} type - the collection or user-defined type that is frozen
+     * @returns {Joi} - the validator
+     */
+    frozen: function (type) {
+      var meta = findMeta(type);
+      if (!meta || freezable.indexOf(meta.type) === -1) {
+        throw new Error('Only collections, tuples and user-defined types can be frozen');
+      }
+      if (['set', 'list'].indexOf(meta.type) > -1) {
+        // frozen collections are replaced as a whole, so the `add`, `remove`, `append`, etc. updates do not apply
+        type = sliceMatches(type, 1);
+      }
+      return type.meta({ frozen: true });
+    }
+  };
+
+  /**
+   * Create a joi object that can validate the `USING TTL` and `USING TIMESTAMP` options of a write.
+   *
+   * @returns {Joi} - the validator of the `ttl` in seconds and the `timestamp` in microseconds since the epoch
+   */
+  cql.writeOptions = function () {
+    return joi.object().keys({
+      ttl: joi.number().integer().min(0).max(maxTtl),
+      timestamp: int64(joi, 'bigint')
+    }).unknown(false);
+  };
+
+  /**
+   * Create a validator from the description of a type, which throws when the type is unknown or is not fully described.
+   *
+   * @param {String} type - One of the properties of `cql` that is a function that
+   *    accepts the options specified in the `obj` argument.
+   * @param {Object} obj - specifies the options for the given cql `type`
+   * @param {TypeDescriptor[]} [mapType] - when specifying a CQL type of 'map', this contains two arguments for `cql.map`
+   * @returns {Joi} - the validator
+   */
+  cql.create = function (type, obj) {
+    var cqlType;
+    checkDescriptor(type, obj);
+
+    if (type === 'json') {
+      // the fields of the description are not the keys of a json object
+      cqlType = cql.json();
+    } else if (type === 'map') {
+      cqlType = cql.map(fromDescriptor(cql, obj.mapType[0]), fromDescriptor(cql, obj.mapType[1]));
+    } else if (['set', 'list'].indexOf(type) > -1) {
+      cqlType = cql[type](fromDescriptor(cql, obj[type + 'Type']));
+    } else if (type === 'tuple') {
+      cqlType = cql.tuple.apply(cql, obj.tupleType.map(function (descriptor) {
+        return fromDescriptor(cql, descriptor);
+      }));
+    } else if (type === 'udt') {
+      cqlType = cql.udt(obj.name, Object.keys(obj.fields).reduce(function (memo, key) {
+        memo[key] = fromDescriptor(cql, obj.fields[key]);
+        return memo;
+      }, {}));
+    } else {
+      cqlType = cql[type](obj);
+    }
+
+    // obj can be undefined, look at map line #124
+    return Object.keys(createModifiers).reduce(function (validator, name) {
+      return obj && obj[name] ? createModifiers[name](validator, cql, obj[name]) : validator;
+    }, cqlType);
+  };
+
+  /**
+   * Create an object schema for a table from the rows of `system_schema.columns` that describe it.
+   *
+   * @param {ColumnMetadata[]} rows - the columns of the table
+   * @param {Object} [options] - optional settings for building the schema
+   * @param {TypeMetadata[]} [options.types] - the rows of `system_schema.types` for the user-defined types
+   * @returns {Joi} - the validator, with the partition and clustering keys of the table
+   */
+  cql.fromTableMetadata = function (rows, options) {
+    var udts = ((options || {}).types || []).reduce(function (memo, row) {
+      memo[row.type_name] = row;
+      return memo;
+    }, {});
+    var columns = rows.reduce(function (memo, row) {
+      memo[row.column_name] = fromDescriptor(cql, parseCqlType(row.type, udts));
+      return memo;
+    }, {});
+    columnsOfKind(rows, 'static').forEach(function (name) {
+      columns[name] = columns[name].static();
+    });
+    var schema = joi.object(columns).partitionKey(columnsOfKind(rows, 'partition_key'));
+    var order = rows.reduce(function (memo, row) {
+      memo[row.column_name] = row.clustering_order;
+      return memo;
+    }, {});
+    var clusteringKey = columnsOfKind(rows, 'clustering').map(function (name) {
+      var key = {};
+      key[name] = order[name];
+      return key;
+    });
+
+    return clusteringKey.length ? schema.clusteringKey(clusteringKey) : schema;
+  };
+
+  /**
+   * Create an object schema for a table from its definition as plain data, e.g. loaded from a JSON or YAML file,
+   * which `toDefinition` describes a schema with.
+   *
+   * @param {TableDefinition} definition - the columns, keys, indexes and views of the table
+   * @returns {Joi} - the validator
+   */
+  cql.fromDefinition = function (definition) {
+    var columns = (definition || {}).columns;
+    if (!columns || typeof columns !== 'object') {
+      throw new Error('A table definition requires its columns');
+    }
+    var schema = joi.object(Object.keys(columns).reduce(function (memo, name) {
+      try {
+        memo[name] = fromDescriptor(cql, columns[name]);
+      } catch (err) {
+        throw new Error('Column ' + name + ' of the table definition is not valid: ' + err.message);
+      }
+      return memo;
+    }, {}));
+
+    [
+      ['partitionKey', definition.partitionKey],
+      ['clusteringKey', definition.clusteringKey],
+      ['lookupKeys', definition.lookupKeys],
+      ['defaultTtl', definition.defaultTtl]
+    ].forEach(function (option) {
+      if (option[1] != null) schema = schema[option[0]](option[1]);
+    });
+    // like the columns, the keys are checked here, while a table without a partition key is left to `validateCqlSchema`
+    var keyErrors = schema.validateCqlSchema().filter(function (error) {
+      return ['cql.partitionKey.unknown', 'cql.clusteringKey.unknown', 'cql.clusteringKey.duplicate',
+        'cql.lookupKeys.unknown', 'cql.key.type'].indexOf(error.type) > -1;
+    });
+    if (keyErrors.length) {
+      throw new Error('The keys of the table definition are not valid: ' + keyErrors.map(function (error) {
+        return error.message;
+      }).join(', '));
+    }
+    (definition.indexes || []).forEach(function (index) {
+      schema = schema.index(index.column, index);
+    });
+    (definition.materializedViews || []).forEach(function (view) {
+      schema = schema.materializedView(view.name, view);
+    });
+    Object.keys(definition.aliases || {}).forEach(function (from) {
+      schema = schema.rename(from, definition.aliases[from]);
+    });
+    return schema;
+  };
+
+  return cql;
+}
+
+/**
+ * Find the names of the columns of a kind, e.g. `partition_key`, in the order of their position in the key.
+ *
+ * @param {ColumnMetadata[]} rows - the columns of the table
+ * @param {String} kind - the kind of column
+ * @returns {String[]} - the names of the columns
+ */
+function columnsOfKind(rows, kind) {
+  return rows
+    .filter(function (row) {
+      return row.kind === kind;
+    })
+    .sort(function (a, b) {
+      return a.position - b.position;
+    })
+    .map(function (row) {
+      return row.column_name;
+    });
+}
+
+/**
+ * Parse a CQL type, e.g. `frozen<map<text, list<int>>>`, into the description of the type.
+ *
+ * @param {String} type - the CQL type
+ * @param {Object.<String, TypeMetadata>} udts - the user-defined types that the type can reference, by name
+ * @returns {TypeDescriptor} - the description of the type
+ */
+function parseCqlType(type, udts) {
+  var tokens = type.match(/"(?:[^"]|"")+"|\w+|\S/g) || [];
+  var position = 0;
+
+  /**
+   * Parse the type that starts at the current token, along with its nested types.
+   *
+   * @returns {TypeDescriptor} - the description of the type
+   */
+  function parse() {
+    var name = tokens[position++];
+    var args = [];
+    if (!name || !/^(\w|")/.test(name)) {
+      throw new Error('Invalid CQL type ' + type);
+    }
+    if (tokens[position] === '<') {
+      do {
+        position++;
+        args.push(parse());
+      } while (tokens[position] === ',');
+      if (tokens[position++] !== '>') {
+        throw new Error('Invalid CQL type ' + type);
+      }
+    }
+    return describeType(name, args, udts);
+  }
+
+  var descriptor = parse();
+  if (position !== tokens.length) {
+    throw new Error('Invalid CQL type ' + type);
+  }
+  return descriptor;
+}
+
+/**
+ * Describe a parsed CQL type.
+ *
+ * @param {String} name - the name of the type, e.g. `map`, `int` or the name of a user-defined type
+ * @param {TypeDescriptor[]} args - the nested types given to the type
+ * @param {Object.<String, TypeMetadata>} udts - the user-defined types that the type can reference, by name
+ * @returns {TypeDescriptor} - the description of the type
+ */
+function describeType(name, args, udts) {
+  var udt;
+  name = name[0] === '"' ? name.slice(1, -1).replace(/""/g, '"') : name.toLowerCase();
+  if (args.length) return describeNestingType(name, args);
+  if (nativeTypes.indexOf(name) > -1) return name;
+
+  udt = udts[name];
+  if (!udt) {
+    throw new Error('Unknown CQL type ' + name);
+  }
+  return {
+    type: 'udt',
+    name: name,
+    fields: udt.field_names.reduce(function (memo, field, i) {
+      memo[field] = parseCqlType(udt.field_types[i], udts);
+      return memo;
+    }, {})
+  };
+}
+
+/**
+ * Describe a parsed CQL type that nests other types, e.g. `frozen<list<int>>`.
+ *
+ * @param {String} name - the name of the type, e.g. `map` or `frozen`
+ * @param {TypeDescriptor[]} args - the nested types given to the type
+ * @returns {TypeDescriptor} - the description of the type
+ */
+function describeNestingType(name, args) {
+  var descriptor = { type: name };
+  if (name === 'frozen' && args.length === 1 && typeof args[0] === 'object') {
+    return Object.assign({}, args[0], { frozen: true });
+  } else if (name === 'map' && args.length === 2) {
+    descriptor.mapType = args;
+  } else if (['set', 'list'].indexOf(name) > -1 && args.length === 1) {
+    descriptor[name + 'Type'] = args[0];
+  } else if (name === 'tuple') {
+    descriptor.tupleType = args;
+  } else {
+    throw new Error('Unknown CQL type ' + name + '<' + args.map(nestedTypeName).join(', ') + '>');
+  }
+  return descriptor;
+}
+
+/**
+ * Create a validator from the description of a type that is recorded in the meta of collections and user-defined types.
+ *
+ * @param {Object} cql - the CQL types that create the validator
+ * @param {TypeDescriptor} descriptor - the name of a CQL type or the meta definition of a complex type
+ * @returns {Joi} - the validator
+ */
+function fromDescriptor(cql, descriptor) {
+  if (typeof descriptor === 'string') return cql.create(descriptor);
+  if (!descriptor || typeof descriptor !== 'object') throw new Error('Unknown CQL type ' + descriptor);
+  return cql.create(descriptor.type, descriptor);
+}
+
+//
+// The checks of the descriptions of the types that nest other types, with what each of them requires.
+//
+var nestedTypeChecks = {
+  map: [function (obj) {
+    return Array.isArray(obj.mapType) && obj.mapType.length === 2;
+  }, 'the types of its keys and values as its mapType'],
+  tuple: [function (obj) {
+    return Array.isArray(obj.tupleType);
+  }, 'the types of its values as its tupleType'],
+  udt: [function (obj) {
+    return Object.prototype.toString.call(obj.fields) === '[object Object]';
+  }, 'an object of the types of its fields']
+};
+
+/**
+ * Check that a validator can be created from the description of a type, which would otherwise fail on whatever
+ * is missing.
+ *
+ * @param {String} type - the name of the type, `json` for `cql.json()`
+ * @param {Object} [obj] - the description of the type
+ */
+function checkDescriptor(type, obj) {
+  if (nativeTypes.indexOf(type) === -1 && freezable.indexOf(type) === -1 && type !== 'json') {
+    throw new Error('Unknown CQL type ' + type);
+  }
+  var missing = (complexTypes[type] || []).filter(function (key) {
+    return ['type', 'frozen'].indexOf(key) === -1 && (!obj || obj[key] == null);
+  });
+  if (missing.length) {
+    throw new Error('The CQL type ' + type + ' requires ' + missing.join(' and '));
+  }
+  var check = nestedTypeChecks[type];
+  if (check && !check[0](obj)) {
+    throw new Error('The CQL type ' + type + ' requires ' + check[1]);
+  }
+}
+
+/*
+ * Set a default value on a joi object based on specified options.
+ */
+var defaults = {
+  /**
+   * Set a default date based on the contextual operation in which the joi object is being validated.
+   *
+   * If 'update' is the specified default, default the value on both 'update' && 'create' operations
+   * otherwise only default if the operation matches the specified default.
+   *
+   * @param {Joi} validator - the object that is having a default set
+   * @param {DefaultSpecifierOptions} options - the options for setting the default
+   * @param {String} options.default - [create, update]
+   * @returns {Joi} - the new validator
+   */
+  date: function (validator, options) {
+    var when = options.default;
+    var fn = function (context, config) {
+      var operation = contextOf(config).operation;
+      if ((when === operation) ||
+          (when === 'update' && ['create', 'update'].indexOf(operation) > -1)
+      ) {
+        return new Date().toISOString();
+      }
+      return undef;
+    };
+    // @hapi/joi 15 would otherwise require a description of the function
+    fn.isJoi = true;
+    return validator.default(fn);
+  },
+
+  /**
+   * Set a default uuid when the the contextual operation is 'create'.
+   *
+   * @param {Joi} validator - the object that is having a default set
+   * @param {DefaultSpecifierOptions} options - the options for setting the default
+   * @param {String} options.default - [empty, v1, v4]
+   * @returns {Joi} - the new validator
+   */
+  uuid: function (validator, options) {
+    var fn = function (context, config) {
+      if (contextOf(config).operation === 'create')
+        return options.default === 'empty' ? '00000000-0000-0000-0000-000000000000' : uuid[options.default]();
+      return undef;
+    };
+    // @hapi/joi 15 would otherwise require a description of the function
+    fn.isJoi = true;
+    return validator.default(fn);
+  }
+};
+
+/**
+ * Create a default based on a string identifier if one is provided.
+ *
+ * @param {String} type - types of defaults [date, uuid]
+ * @param {Joi} validator - the object being defaulted
+ * @param {DefaultSpecifierOptions} options - the options for creating the default
+ * @returns {Joi} - the new validator, possibly with a default
+ */
+function defaultify(type, validator, options) {
+  return options && options.default ? defaults[type](validator, options) : validator;
+}
+
+/**
+ * Find the meta object that has the key given.
+ *
+ * @param {Joi} any - the validator to be inspected
+ * @param {String} key - the name of the field in the meta object that we are looking for
+ * @returns {JoiMetaDefinition} - the result
+ */
+function findMeta(any, key) {
   var searchKey = key || 'cql';
   var isCql = searchKey === 'cql';
   var meta = {};
-  var allMetas = (any.describe().meta || []);
+  var allMetas = metasOf(any);
   var found = false;
   for (var i = 0; i < allMetas.length; i++) {
     var hasKey = (searchKey in allMetas[i]);
@@ -459,90 +1987,1538 @@ function findMeta(any, key) {
         // Otherwise, find last instance of that key
         meta = allMetas[i];
       }
-      found = true;
+      found = true;
+    }
+  }
+  return found ? meta : void 0;
+}
+
+/**
+ * Find the value of the meta object that has the key given.
+ *
+ * @param {Joi} any - the validator to be inspected
+ * @param {String} key - the name of the field in the meta object that we are looking for
+ * @returns {Object} - the value of the field in the meta object
+ */
+function findMetaValue(any, key) {
+  return (findMeta(any, key) || {})[key];
+}
+
+/**
+ * Determine whether a validator is created by `joi` 17 rather than `@hapi/joi` 15.
+ *
+ * The internals of the validators that this relies on are read through the functions that follow,
+ * which take care of the differences between the two.
+ *
+ * @param {Joi} any - the validator
+ * @returns {Boolean} - whether it is created by `joi` 17
+ */
+function isModern(any) {
+  return Boolean(any.$_terms);
+}
+
+/**
+ * Find the instance of joi that created a validator.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Joi} - the instance, with its CQL types
+ */
+function joiOf(any) {
+  return isModern(any) ? any.$_root : any._currentJoi;
+}
+
+/**
+ * Find the meta objects of a validator, in the order that they are given. The alternatives that `when` builds on
+ * `@hapi/joi` 15 follow the ones of the validator that they are built from, like the validators of `joi` 17 keep theirs.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Object[]} - the meta objects
+ */
+function metasOf(any) {
+  if (isModern(any)) return any.$_terms.metas || [];
+  return (any._baseType ? metasOf(any._baseType) : []).concat(any._meta || []);
+}
+
+/**
+ * Find the keys of an object validator.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {(Object[]|null)} - the `key` and `schema` of each key, `null` when the keys are not defined
+ */
+function childrenOf(any) {
+  return isModern(any) ? any.$_terms.keys : any._inner.children;
+}
+
+/**
+ * Find the renames of an object validator.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Object[]} - the `from` and `to` of each rename
+ */
+function renamesOf(any) {
+  return (isModern(any) ? any.$_terms.renames : any._inner.renames) || [];
+}
+
+/**
+ * Find the alternatives of an alternatives validator.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Object[]} - the alternatives, each with its `schema` when it is not conditional
+ */
+function matchesOf(any) {
+  return isModern(any) ? any.$_terms.matches : any._inner.matches;
+}
+
+/**
+ * Keep some of the alternatives of an alternatives validator.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @param {Number} count - the number of alternatives that are kept
+ * @returns {Joi} - a copy of the validator with the alternatives that are kept
+ */
+function sliceMatches(any, count) {
+  var copy = any.clone();
+  if (!isModern(any)) {
+    copy._inner.matches = copy._inner.matches.slice(0, count);
+    return copy;
+  }
+  copy.$_terms.matches = copy.$_terms.matches.slice(0, count);
+  return copy.$_mutateRebuild();
+}
+
+/**
+ * Find the validator of a column without the condition that makes it immutable. The alternatives of the
+ * condition on `@hapi/joi` 15 keep the modifiers that are given after `immutable`, which are given to the
+ * column itself instead.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Joi} - the validator, which can be given on updates
+ */
+function mutableOf(any) {
+  if (!findMetaValue(any, 'immutable')) return any;
+  if (isModern(any)) {
+    var copy = any.clone();
+    copy.$_terms.whens = (copy.$_terms.whens || []).filter(function (when) {
+      return !(when.ref && when.ref.type === 'global' && when.ref.path.join() === 'operation' &&
+        when.then && when.then._flags.presence === 'forbidden');
+    });
+    return copy.$_mutateRebuild();
+  }
+  if (!any._baseType) return any;
+  var column = any._meta.reduce(function (memo, meta) {
+    return memo.meta(meta);
+  }, any._baseType);
+  if (allowsNull(any)) column = column.allow(null);
+  if (['required', 'optional', 'forbidden'].indexOf(any._flags.presence) > -1) column = column[any._flags.presence]();
+  return any._flags.default === undefined ? column : column.default(any._flags.default);
+}
+
+/**
+ * Determine whether a validator allows a column to be left out when a row is created.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Boolean} - whether it allows `null`, has a default or is explicitly optional
+ */
+function isOmittable(any) {
+  return allowsNull(any) || any._flags.default !== undefined || any._flags.presence === 'optional';
+}
+
+/**
+ * Determine whether a validator allows `null`.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Boolean} - whether `null` is valid
+ */
+function allowsNull(any) {
+  return Boolean(any._valids && any._valids.has(null));
+}
+
+/**
+ * Determine whether a validator requires a value.
+ *
+ * * Warning: This relies on the internal structure of a joi object
+ *
+ * @param {Joi} any - the validator
+ * @returns {Boolean} - whether it is `required`
+ */
+function isRequired(any) {
+  return any._flags.presence === 'required';
+}
+
+/**
+ * Add the alternatives of a condition to an alternatives validator, `conditional` in `joi` 17 and `when` before.
+ *
+ * @param {Joi} any - the alternatives validator
+ * @param {String} ref - the reference that the condition is on, e.g. `$operation`
+ * @param {Object} options - the `is`, `then` and `otherwise` of the condition
+ * @returns {Joi} - the validator
+ */
+function conditional(any, ref, options) {
+  return isModern(any) ? any.conditional(ref, options) : any.when(ref, options);
+}
+
+/**
+ * Find the context of a validation from the second argument of a default function, the options of the
+ * validation in `@hapi/joi` 15 and the helpers, with the preferences, in `joi` 17.
+ *
+ * @param {Object} config - the options or helpers
+ * @returns {Object} - the context
+ */
+function contextOf(config) {
+  return (config.prefs || config).context || {};
+}
+
+/**
+ * Check that a TTL is within the range that Cassandra allows.
+ *
+ * @param {Number} seconds - the TTL
+ * @returns {Number} - the TTL
+ */
+function checkTtl(seconds) {
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > maxTtl) {
+    throw new Error('A TTL must be an integer number of seconds between 0 and ' + maxTtl + ', not ' + seconds);
+  }
+  return seconds;
+}
+
+/**
+ * Convert a value to JSON, writing BigInt values as strings because JSON has no way to represent them.
+ *
+ * @param {*} value - the value being converted
+ * @returns {String} - the JSON
+ */
+function stringifyJson(value) {
+  return JSON.stringify(value, function (key, nested) {
+    return typeof nested === 'bigint' ? String(nested) : nested;
+  });
+}
+
+/**
+ * Ensure that `uuid` type joi objects have a default specified.
+ *
+ * @param {DefaultSpecifierOptions} [options] - possible default options
+ * @property {String} options.default - [empty, v1, v4]
+ * @param {String} version - the uuid version that should be used as a default if no other default is specified
+ * @returns {(Undefined|String)} - the value that will identify the appropriate default to the default handler on the validator
+ */
+function defaultUuid(options, version) {
+  if (options && options.default) {
+    if ([version, 'empty'].indexOf(options.default) > -1) {
+      return options.default;
+    }
+    return version;
+  }
+  return undef;
+}
+
+/**
+ * Create a serialization handler to run if specified.
+ *
+ * @param {ObjectConversionHandler} handler - handles the conversion of the values of an object
+ * @param {ObjectConversionHandler} [keyHandler] - handles the conversion of the keys of an object
+ * @returns {ConversionMapper} - a wrapper that will iterate across the object given and pass the values to the handler
+ */
+function convertMap(handler, keyHandler) {
+  return function (data) {
+    if (!handler && !keyHandler) return data || {};
+    return Object.keys(data || {}).reduce(function (memo, key) {
+      memo[keyHandler ? keyHandler(key) : key] = handler ? handler(data[key]) : data[key];
+      return memo;
+    }, {});
+  };
+}
+
+
+/**
+ * Convert the values of the columns of a row that are not `null`.
+ *
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns
+ * @param {Object} data - the values of the columns
+ * @param {function(JoiMetaDefinition, *): *} convert - converts the value of a column with its meta definition
+ * @param {function(String): String} column - maps a property of the data to the name of its column
+ * @returns {Object} - the converted values by the name of their column
+ */
+function convertColumns(columns, data, convert, column) {
+  return Object.keys(data || {}).reduce(function (memo, key) {
+    var meta = columns[column(key)];
+    var value = data[key];
+    memo[column(key)] = meta && value != null ? convert(meta, value) : value;
+    return memo;
+  }, {});
+}
+
+/**
+ * Create a converter that uses a handler from the meta definition of a column, if it has one.
+ *
+ * @param {String} name - the name of the handler in the meta definitions, `serialize` or `deserialize`
+ * @returns {function(JoiMetaDefinition, *): *} - the converter
+ */
+function handlerOf(name) {
+  return function (meta, value) {
+    return meta[name] ? meta[name](value) : value;
+  };
+}
+
+//
+// The types of the cassandra-driver that values are converted to, by the CQL types that they represent.
+//
+var driverTypeNames = {
+  bigint: 'Long',
+  counter: 'Long',
+  decimal: 'BigDecimal',
+  varint: 'Integer',
+  uuid: 'Uuid',
+  timeuuid: 'TimeUuid',
+  inet: 'InetAddress'
+};
+
+/**
+ * Convert a value to the type of the cassandra-driver for its CQL type, recursing into collections and other types.
+ *
+ * @param {TypeDescriptor} type - the description of the type of the value
+ * @param {*} value - the value being converted
+ * @param {DriverTypes} driverTypes - the `types` of the cassandra-driver
+ * @returns {*} - the converted value
+ */
+function toDriverValue(type, value, driverTypes) {
+  var driverType = driverTypes[driverTypeNames[type]];
+  if (value == null) return value;
+  if (typeof type === 'string') {
+    if (driverType && ['string', 'number', 'bigint'].indexOf(typeof value) > -1) return driverType.fromString(String(value));
+    if (type === 'blob' && typeof value === 'string') return Buffer.from(value, 'hex');
+    // the update of a counter, e.g. `{ increment: 1 }`
+    if (type === 'counter' && partialUpdate({ type: type }, value)) {
+      return convertMap(function (amount) {
+        return toDriverValue(type, amount, driverTypes);
+      })(value);
+    }
+    return value;
+  }
+  return convertNested(type, value, function (nestedType, nested) {
+    return toDriverValue(nestedType, nested, driverTypes);
+  }, function (values) {
+    return driverTypes.Tuple ? driverTypes.Tuple.fromArray(values) : values;
+  });
+}
+
+/**
+ * Convert a value of a type of the cassandra-driver to a value that passes validation for its CQL type.
+ *
+ * @param {TypeDescriptor} type - the description of the type of the value
+ * @param {*} value - the value being converted
+ * @returns {*} - the converted value
+ */
+function fromDriverValue(type, value) {
+  if (value == null) return value;
+  if (typeof type === 'string') {
+    // the types of the driver, e.g. Long or Uuid, are converted to the strings that they represent
+    return driverTypeNames[type] && isInstance(value) ? value.toString() : value;
+  }
+  if (type.type === 'tuple' && !Array.isArray(value) && typeof value.values === 'function') {
+    value = value.values();
+  }
+  return convertNested(type, value, fromDriverValue, function (values) {
+    return values;
+  });
+}
+
+/**
+ * Determine whether a value is an instance of a class, rather than a primitive or a plain object.
+ *
+ * @param {*} value - the value being inspected
+ * @returns {Boolean} - whether the value is an instance of a class
+ */
+function isInstance(value) {
+  var prototype = typeof value === 'object' && Object.getPrototypeOf(value);
+  return Boolean(prototype) && prototype !== Object.prototype && !Array.isArray(value);
+}
+
+/**
+ * Convert the values nested in a collection, tuple or user-defined type.
+ *
+ * @param {TypeDescriptor} type - the description of the type
+ * @param {*} value - the collection, tuple or user-defined type
+ * @param {function(TypeDescriptor, *): *} convert - converts a nested value with the description of its type
+ * @param {function(Array): *} tuple - creates a tuple from its converted values
+ * @returns {*} - the converted value
+ */
+function convertNested(type, value, convert, tuple) {
+  var nested = function (nestedType) {
+    return function (data) {
+      return convert(nestedType, data);
+    };
+  };
+  switch (type.type) {
+    case 'set':
+    case 'list':
+      return convertArray(nested(type[type.type + 'Type']))(value);
+    case 'map':
+      return convertMap(nested(type.mapType[1]))(value);
+    case 'tuple':
+      return tuple(value.map(function (data, i) {
+        return convert(type.tupleType[i], data);
+      }));
+    case 'udt':
+      return Object.keys(value).reduce(function (memo, key) {
+        memo[key] = type.fields[key] ? convert(type.fields[key], value[key]) : value[key];
+        return memo;
+      }, {});
+    default:
+      return value;
+  }
+}
+
+/**
+ * Create a serialization handler to run if specified.
+ *
+ * @param {ArrayConversionHandler} handler - handles the conversion of the values of an array
+ * @returns {ConversionMapper} - a wrapper that will iterate across the object given and pass the values to the handler
+ */
+function convertArray(handler) {
+  return function convert(data) {
+    if (data && !Array.isArray(data)) {
+      // an update of the collection, e.g. { add: [...] } or { index: { 1: ... } }
+      return Object.keys(data).reduce(function (memo, key) {
+        memo[key] = key === 'index' ? convertMap(handler)(data[key]) : convert(data[key]);
+        return memo;
+      }, {});
+    }
+    if (!handler) return data || [];
+    return (data || []).map(function (value) {
+      return handler(value);
+    });
+  };
+}
+
+
+/**
+ * Normalize a key definition that can be a single name or a list of names.
+ *
+ * @param {(String|String[])} [names] - the names given to `partitionKey` or `clusteringKey`
+ * @returns {String[]} - the list of names
+ */
+function toArray(names) {
+  if (!names) return [];
+  return Array.isArray(names) ? names : [names];
+}
+
+/**
+ * Quote an identifier when Cassandra would otherwise change its case or fail to parse it.
+ *
+ * @param {String} name - the name of a keyspace, table or column
+ * @returns {String} - the identifier as it should appear in CQL
+ */
+function quoteIdentifier(name) {
+  if (/^[a-z_][a-z0-9_]*$/.test(name) && reservedKeywords.indexOf(name) === -1) return name;
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * Qualify a table name with its keyspace when one is given.
+ *
+ * @param {String} name - the name of the table
+ * @param {String} [keyspace] - the name of the keyspace
+ * @returns {String} - the qualified name
+ */
+function qualifyName(name, keyspace) {
+  return (keyspace ? quoteIdentifier(keyspace) + '.' : '') + quoteIdentifier(name);
+}
+
+/**
+ * Describe the type of a value in the meta definition of a collection, tuple or user-defined type.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the value
+ * @returns {TypeDescriptor} - the name of the CQL type, or the definition of a complex type
+ */
+function typeDescriptor(meta) {
+  if (!Object.prototype.hasOwnProperty.call(complexTypes, meta.type)) return meta.type;
+  return complexTypes[meta.type].reduce(function (memo, key) {
+    if (meta[key] !== undefined) memo[key] = meta[key];
+    return memo;
+  }, {});
+}
+
+/**
+ * Describe a column as plain data, which `cql.create` creates the same column from.
+ *
+ * @param {String} name - the name of the column
+ * @param {Joi} any - the validator of the column
+ * @returns {ColumnDefinition} - the definition of the column
+ */
+function columnDefinition(name, any) {
+  var meta = findMeta(any);
+  if (!meta) throw new Error('Column ' + name + ' is not a CQL type');
+  var column = mutableOf(any);
+  var descriptor = typeDescriptor(meta);
+  // the nested descriptions are copied, so that changes of the definition do not affect the schema
+  var definition = typeof descriptor === 'string' ? { type: meta.json ? 'json' : descriptor } :
+    JSON.parse(JSON.stringify(descriptor));
+  ['format', 'default', 'static', 'ttl', 'immutable'].forEach(function (key) {
+    if (meta[key] != null) definition[key] = meta[key];
+  });
+  if (allowsNull(column)) definition.nullable = true;
+  if (isRequired(column)) definition.required = true;
+  return definition;
+}
+
+/**
+ * Describe a clustering key with the order of its columns, like it is given to `clusteringKey`.
+ *
+ * @param {String[]} names - the columns of the clustering key
+ * @param {Object.<String, String>} order - the order of the columns that are given one
+ * @returns {Array.<(String|Object)>} - the name of each column, or an object with its order
+ */
+function clusteringKeyDefinition(names, order) {
+  return names.map(function (name) {
+    var key = {};
+    if (!order[name]) return name;
+    key[name] = order[name];
+    return key;
+  });
+}
+
+/**
+ * Describe a materialized view like it is given to `materializedView`.
+ *
+ * @param {MaterializedViewDefinition} view - the view
+ * @returns {MaterializedViewOptions} - the options of the view, with its `name`
+ */
+function viewDefinition(view) {
+  var definition = {
+    name: view.name,
+    partitionKey: view.partitionKey.slice(),
+    // the keys of a view are in ascending order unless they are given another one
+    clusteringKey: clusteringKeyDefinition(view.clusteringKey, Object.keys(view.clusteringOrder)
+      .reduce(function (memo, name) {
+        if (view.clusteringOrder[name] !== 'asc') memo[name] = view.clusteringOrder[name];
+        return memo;
+      }, {}))
+  };
+  if (view.columns.length) definition.columns = view.columns.slice();
+  return definition;
+}
+
+/**
+ * Freeze a collection or user-defined type that is nested in another type, as Cassandra requires.
+ *
+ * @param {Object} cql - the CQL types that freeze the validator
+ * @param {Joi} type - the validator of the nested value
+ * @returns {Joi} - the validator, frozen when it is a collection or user-defined type
+ */
+function freezeNested(cql, type) {
+  var meta = findMeta(type);
+  if (!meta || meta.frozen || ['map', 'set', 'list', 'udt'].indexOf(meta.type) === -1) return type;
+  return cql.frozen(type);
+}
+
+/**
+ * Build the CQL type, e.g. `map<text, uuid>`, from the meta definition of a column.
+ *
+ * @param {(JoiMetaDefinition|TypeDescriptor)} meta - the meta definition of the column
+ * @param {Boolean} [nested] - whether the type is nested in another type and must be frozen
+ * @returns {String} - the CQL type
+ */
+function cqlTypeName(meta, nested) {
+  var name;
+  if (typeof meta === 'string') return meta;
+  nested = nested || meta.frozen;
+  switch (meta.type) {
+    case 'map':
+      name = 'map<' + meta.mapType.map(nestedTypeName).join(', ') + '>';
+      break;
+    case 'set':
+      name = 'set<' + nestedTypeName(meta.setType) + '>';
+      break;
+    case 'list':
+      name = 'list<' + nestedTypeName(meta.listType) + '>';
+      break;
+    case 'udt':
+      name = quoteIdentifier(meta.name);
+      break;
+    case 'tuple':
+      // tuples are always frozen
+      return 'tuple<' + meta.tupleType.map(nestedTypeName).join(', ') + '>';
+    default:
+      return meta.type;
+  }
+  return nested ? 'frozen<' + name + '>' : name;
+}
+
+/**
+ * Build the CQL type of a value nested in a collection.
+ *
+ * @param {TypeDescriptor} type - the description of the type of the value
+ * @returns {String} - the CQL type
+ */
+function nestedTypeName(type) {
+  return cqlTypeName(type, true);
+}
+
+/**
+ * Convert the description of a CQL type to JSON Schema, with the name of the type as `x-cql-type`.
+ *
+ * @param {TypeDescriptor} descriptor - the name of a CQL type or the meta definition of a complex type
+ * @returns {Object} - the JSON Schema of the type
+ */
+function jsonSchemaOf(descriptor) {
+  var schema, keys;
+  if (typeof descriptor === 'string') {
+    // the schemas of the native types are copied, so that changes of the schema that is returned do not affect them
+    return Object.assign(JSON.parse(JSON.stringify(jsonSchemas[descriptor])), { 'x-cql-type': descriptor });
+  }
+  switch (descriptor.type) {
+    case 'map':
+      schema = { type: 'object', additionalProperties: jsonSchemaOf(descriptor.mapType[1]) };
+      keys = propertyNamesJsonSchema(descriptor.mapType[0]);
+      if (keys) schema.propertyNames = keys;
+      break;
+    case 'set':
+    case 'list':
+      schema = collectionJsonSchema(descriptor);
+      break;
+    case 'tuple':
+      schema = {
+        type: 'array',
+        prefixItems: descriptor.tupleType.map(jsonSchemaOf),
+        items: false,
+        minItems: descriptor.tupleType.length
+      };
+      break;
+    default:
+      // a user-defined type
+      schema = {
+        type: 'object',
+        properties: Object.keys(descriptor.fields).reduce(function (memo, name) {
+          memo[name] = jsonSchemaOf(descriptor.fields[name]);
+          return memo;
+        }, {}),
+        additionalProperties: false
+      };
+  }
+  schema['x-cql-type'] = cqlTypeName(descriptor);
+  return schema;
+}
+
+/**
+ * Build the pattern of the IPv6 addresses, with the alternatives of RFC 3986 for the groups of zeros that are left out.
+ *
+ * @returns {String} - the pattern, without anchors
+ */
+function ipv6Pattern() {
+  var h16 = '[0-9a-fA-F]{1,4}';
+  var ls32 = '(?:' + h16 + ':' + h16 + '|' + ipv4Pattern + ')';
+  return '(?:' + [
+    '(?:' + h16 + ':){6}' + ls32,
+    '::(?:' + h16 + ':){5}' + ls32,
+    '(?:' + h16 + ')?::(?:' + h16 + ':){4}' + ls32,
+    '(?:(?:' + h16 + ':){0,1}' + h16 + ')?::(?:' + h16 + ':){3}' + ls32,
+    '(?:(?:' + h16 + ':){0,2}' + h16 + ')?::(?:' + h16 + ':){2}' + ls32,
+    '(?:(?:' + h16 + ':){0,3}' + h16 + ')?::' + h16 + ':' + ls32,
+    '(?:(?:' + h16 + ':){0,4}' + h16 + ')?::' + ls32,
+    '(?:(?:' + h16 + ':){0,5}' + h16 + ')?::' + h16,
+    '(?:(?:' + h16 + ':){0,6}' + h16 + ')?::'
+  ].join('|') + ')';
+}
+
+/**
+ * Convert the key type of a map to the JSON Schema of the names of its properties. The names are strings, which the
+ * validator converts to numbers and booleans, so those become patterns; keys that are collections or user-defined
+ * types have no such form.
+ *
+ * @param {TypeDescriptor} descriptor - the name of a CQL type or the meta definition of a complex type
+ * @returns {Object|undefined} - the JSON Schema of the names, if the key type can be written as a string
+ */
+function propertyNamesJsonSchema(descriptor) {
+  var schema = jsonSchemaOf(descriptor);
+  var names = (schema.oneOf || [schema]).map(function (alternative) {
+    switch (alternative.type) {
+      case 'string':
+        return alternative;
+      case 'integer':
+        return { pattern: '^-?\\d+$' };
+      case 'number':
+        return { pattern: numberPattern.source };
+      case 'boolean':
+        return { enum: ['true', 'false'] };
+      default:
+        return null;
+    }
+  }).filter(function (name, i, all) {
+    // the decimals that are strings or numbers have the same pattern either way
+    return name && all.map(JSON.stringify).indexOf(JSON.stringify(name)) === i;
+  });
+
+  if (names.length) return names.length === 1 ? names[0] : { anyOf: names };
+}
+
+/**
+ * Convert a `set` or a `list` to JSON Schema, where the updates of a collection that is not frozen are `oneOf`
+ * its values.
+ *
+ * @param {JoiMetaDefinition} descriptor - the meta definition of the collection
+ * @returns {Object} - the JSON Schema of the collection, without its `x-cql-type`
+ */
+function collectionJsonSchema(descriptor) {
+  var item = jsonSchemaOf(descriptor[descriptor.type + 'Type']);
+  var array = descriptor.type === 'set' ? { type: 'array', items: item, uniqueItems: true } : { type: 'array', items: item };
+  var updates = descriptor.type === 'set' ? { add: array, remove: array } : {
+    prepend: array,
+    append: array,
+    remove: array,
+    index: { type: 'object', propertyNames: { pattern: '^\\d+$' }, additionalProperties: item }
+  };
+  if (descriptor.frozen) return array;
+  return { oneOf: [array, { type: 'object', properties: updates, minProperties: 1, additionalProperties: false }] };
+}
+
+/**
+ * Allow `null` in a JSON Schema as well.
+ *
+ * @param {Object} schema - the JSON Schema
+ * @returns {Object} - the JSON Schema, which allows `null`
+ */
+function nullableJsonSchema(schema) {
+  if (schema.oneOf) {
+    schema.oneOf = schema.oneOf.concat({ type: 'null' });
+  } else if (schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+  return schema;
+}
+
+/**
+ * Build the `WITH` clauses of a `CREATE TABLE` statement.
+ *
+ * @param {String} tableName - the name of the table being created
+ * @param {String[]} clusteringKey - the clustering keys of the table
+ * @param {CreateTableOptions} options - the clustering order and table properties
+ * @returns {String[]} - the clauses that are joined with `AND`
+ */
+function tableProperties(tableName, clusteringKey, options) {
+  var properties = [];
+  if (options.clusteringOrder) {
+    Object.keys(options.clusteringOrder).forEach(function (name) {
+      if (clusteringKey.indexOf(name) === -1) {
+        throw new Error('Clustering order column ' + name + ' is not a clustering key of table ' + tableName);
+      }
+    });
+    properties.push('CLUSTERING ORDER BY (' + clusteringKey.map(function (name) {
+      return quoteIdentifier(name) + ' ' + (options.clusteringOrder[name] || 'asc').toUpperCase();
+    }).join(', ') + ')');
+  }
+  Object.keys(options.properties || {}).forEach(function (name) {
+    properties.push(name + ' = ' + cqlLiteral(options.properties[name]));
+  });
+  return properties;
+}
+
+/**
+ * Build the CQL type of a column in a way that can be compared, since `varchar` is an alias of `text`.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @returns {String} - the CQL type
+ */
+function comparableTypeName(meta) {
+  return cqlTypeName(meta).replace(/\bvarchar\b/g, 'text');
+}
+
+/**
+ * Create an error that describes a problem with a schema.
+ *
+ * @param {String} type - identifies the kind of error
+ * @param {String[]} path - the name of the column that the error is for, if any
+ * @param {String} message - describes the error
+ * @returns {SchemaError} - the error
+ */
+function schemaError(type, path, message) {
+  return { type: type, path: path, message: message };
+}
+
+/**
+ * Determine whether a column of a type can be part of the primary key.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @returns {Boolean} - whether the column can be a key
+ */
+function isKeyType(meta) {
+  if (meta.json || ['counter', 'duration'].indexOf(meta.type) > -1) return false;
+  return meta.frozen || ['map', 'set', 'list', 'udt'].indexOf(meta.type) === -1;
+}
+
+/**
+ * Find whether counter and non-counter columns are mixed, which Cassandra does not allow.
+ *
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns of the table
+ * @param {String[]} keys - the names of the columns in the primary key
+ * @returns {SchemaError[]} - the errors
+ */
+function mixedCounterErrors(columns, keys) {
+  var regular = Object.keys(columns).filter(function (name) {
+    return keys.indexOf(name) === -1 && columns[name];
+  });
+  var counters = regular.filter(function (name) {
+    return columns[name].type === 'counter';
+  });
+  if (!counters.length || counters.length === regular.length) return [];
+
+  return [schemaError('cql.counter.mixed', [], 'counter columns cannot be in the same table as the non-counter columns ' +
+    regular.filter(function (name) {
+      return counters.indexOf(name) === -1;
+    }).join(', '))];
+}
+
+/**
+ * Find TTLs that Cassandra does not allow, since counters never expire and neither do the columns of the primary key
+ * on their own.
+ *
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns
+ * @param {String[]} keys - the names of the columns of the primary key
+ * @param {Number} [defaultTtl] - the default TTL of the table
+ * @returns {SchemaError[]} - the problems with the TTLs
+ */
+function ttlErrors(columns, keys, defaultTtl) {
+  var names = Object.keys(columns).filter(function (name) {
+    return Boolean(columns[name]);
+  });
+  var errors = names.filter(function (name) {
+    return columns[name].ttl !== undefined;
+  }).map(function (name) {
+    if (keys.indexOf(name) > -1) {
+      return schemaError('cql.ttl.key', [name], name + ' cannot have a TTL because it is part of the primary key');
     }
+    return columns[name].type === 'counter' && schemaError('cql.ttl.counter', [name], name + ' cannot have a TTL ' +
+      'because it is a counter');
+  });
+  if (defaultTtl && names.some(function (name) {
+    return columns[name].type === 'counter';
+  })) {
+    errors.push(schemaError('cql.defaultTtl.counter', [], 'a table with counter columns cannot have a defaultTtl'));
   }
-  return found ? meta : void 0;
+  return errors.filter(Boolean);
 }
 
 /**
- * Find the value of the meta object that has the key given.
+ * Separate the names of the clustering keys from their order.
  *
- * @param {Joi} any - the validator to be inspected
- * @param {String} key - the name of the field in the meta object that we are looking for
- * @returns {Object} - the value of the field in the meta object
+ * @param {(String|Object|Array.<(String|Object)>)} [name] - the clustering keys, where objects include the order
+ * @returns {Object} - the `names` of the keys and the `order` of the keys that are given with one
  */
-function findMetaValue(any, key) {
-  return (findMeta(any, key) || {})[key];
+function parseClusteringKey(name) {
+  var order = {};
+  var names = toArray(name).reduce(function (memo, key) {
+    if (typeof key === 'string') return memo.concat(key);
+    return memo.concat(Object.keys(key).map(function (column) {
+      order[column] = clusteringDirection(column, key[column]);
+      return column;
+    }));
+  }, []);
+  return { names: names, order: order };
 }
 
 /**
- * Convert the resulting object back to JSON after validation.
+ * Check the order of a clustering key.
  *
- * * Warning: This relies on the internal structure of a joi object
+ * @param {String} name - the name of the clustering key
+ * @param {String} direction - `asc` or `desc`, in any case
+ * @returns {String} - the order in lowercase
+ */
+function clusteringDirection(name, direction) {
+  var order = String(direction).toLowerCase();
+  if (['asc', 'desc'].indexOf(order) === -1) {
+    throw new Error('The clustering order of ' + name + ' must be asc or desc, not ' + direction);
+  }
+  return order;
+}
+
+/**
+ * Find a change to the clustering order of a table, which Cassandra does not allow.
+ *
+ * @param {Joi} previous - the schema of the table
+ * @param {Joi} next - the newer version of the schema
+ * @returns {SchemaError[]} - the change that is not allowed
+ */
+function clusteringOrderErrors(previous, next) {
+  var from = JSON.stringify(previous.clusteringOrder());
+  var to = JSON.stringify(next.clusteringOrder());
+  // a change to the clustering key itself is already an error
+  if (toArray(previous.clusteringKey()).join() !== toArray(next.clusteringKey()).join() || from === to) return [];
+  return [schemaError('cql.alter.clusteringOrder', [], 'the clusteringOrder cannot be changed from ' + from +
+    ' to ' + to)];
+}
+
+/**
+ * Find the targets that an index of a column can have, where collections are indexed by their values unless they
+ * are frozen, which are only indexed as a whole.
+ *
+ * @param {JoiMetaDefinition} [meta] - the meta definition of the column
+ * @returns {String[]} - the targets, empty when the column itself is indexed
+ */
+function indexTargetsOf(meta) {
+  if (!meta || ['map', 'set', 'list'].indexOf(meta.type) === -1) return [];
+  if (meta.frozen) return ['full'];
+  return meta.type === 'map' ? ['keys', 'values', 'entries'] : ['values'];
+}
+
+/**
+ * Build the indexed column of a `CREATE INDEX` statement, e.g. `KEYS(tags)`.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @param {IndexDefinition} index - the definition of the index
+ * @returns {String} - the column with its target
+ */
+function indexTarget(meta, index) {
+  var target = index.target || (indexTargetsOf(meta)[0] === 'full' ? 'full' : null);
+  var column = quoteIdentifier(index.column);
+  return target ? target.toUpperCase() + '(' + column + ')' : column;
+}
+
+/**
+ * Find a problem with an index that Cassandra does not allow.
+ *
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns
+ * @param {String[]} partitionKey - the names of the columns of the partition key
+ * @param {IndexDefinition} index - the definition of the index
+ * @returns {?SchemaError} - the problem with the index, if any
+ */
+function indexError(columns, partitionKey, index) {
+  var name = index.column;
+  var meta = columns[name];
+  if (!(name in columns)) return schemaError('cql.index.unknown', [name], name + ' of an index is not a column');
+  if (meta && ['counter', 'duration'].indexOf(meta.type) > -1) {
+    return schemaError('cql.index.type', [name], name + ' cannot be indexed because it is a ' + meta.type);
+  }
+  if (partitionKey.length === 1 && partitionKey[0] === name) {
+    return schemaError('cql.index.partitionKey', [name], name + ' cannot be indexed because it is the whole ' +
+      'partitionKey');
+  }
+  if (meta && index.target && indexTargetsOf(meta).indexOf(index.target) === -1) {
+    return schemaError('cql.index.target', [name], name + ' cannot be indexed with ' + index.target.toUpperCase() +
+      '() because it is a ' + (meta.frozen ? 'frozen ' : '') + meta.type);
+  }
+  return null;
+}
+
+/**
+ * Find the problems with a materialized view that Cassandra does not allow. The primary key of a view must include
+ * every column of the primary key of its table, and at most one other column.
  *
- * @param {Joi} any - the object that will be extended to convert the given value
- * @returns {Joi} - the extended validator
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns of the table
+ * @param {String[]} keys - the names of the columns of the primary key of the table
+ * @param {MaterializedViewDefinition} view - the definition of the view
+ * @returns {SchemaError[]} - the problems with the view
  */
-function convertToJsonOnValidate(any) {
-  var validate = any._validate;
-  any._validate = function () {
-    var result = validate.apply(this, arguments);
-    if (!result.error && result.value !== undefined) {
-      result.value = JSON.stringify(result.value);
+function viewErrors(columns, keys, view) {
+  var viewKeys = view.partitionKey.concat(view.clusteringKey);
+  var suffix = ' of the materialized view ' + view.name;
+  var errors = view.partitionKey.length ? [] : [
+    schemaError('cql.materializedView.partitionKey', [], 'the materialized view ' + view.name + ' requires a partitionKey')
+  ];
+  viewKeys.concat(view.columns).forEach(function (name) {
+    if (!(name in columns)) errors.push(schemaError('cql.materializedView.unknown', [name], name + suffix + ' is not a column'));
+  });
+  keys.forEach(function (name) {
+    if (viewKeys.indexOf(name) === -1) {
+      errors.push(schemaError('cql.materializedView.primaryKey', [name], name + ' of the primary key must be part of ' +
+        'the primary key' + suffix));
     }
-    return result;
-  };
-  return any;
+  });
+  var added = viewKeys.filter(function (name) {
+    return keys.indexOf(name) === -1 && columns[name];
+  });
+  if (added.length > 1) {
+    errors.push(schemaError('cql.materializedView.keys', [], 'the materialized view ' + view.name + ' can only add ' +
+      'one column to the primary key, not ' + added.join(', ')));
+  }
+  return errors.concat(added.filter(function (name) {
+    return !isKeyType(columns[name]);
+  }).map(function (name) {
+    return schemaError('cql.materializedView.type', [name], name + ' cannot be part of the primary key' + suffix +
+      ' because it is ' + (columns[name].json ? 'json' : 'a ' + columns[name].type));
+  }));
 }
 
 /**
- * Ensure that `uuid` type joi objects have a default specified.
+ * Find static columns in a table that cannot have them, either because they are part of the primary key or
+ * because there are no clustering columns, which leaves a single row in every partition.
  *
- * @param {DefaultSpecifierOptions} [options] - possible default options
- * @property {String} options.default - [empty, v1, v4]
- * @param {String} version - the uuid version that should be used as a default if no other default is specified
- * @returns {(Undefined|String)} - the value that will identify the appropriate default to the default handler on the validator
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns
+ * @param {String[]} keys - the names of the columns of the primary key
+ * @param {String[]} clusteringKey - the names of the columns of the clustering key
+ * @returns {SchemaError[]} - the problems with the static columns
  */
-function defaultUuid(options, version) {
-  if (options && options.default) {
-    if ([version, 'empty'].indexOf(options.default) > -1) {
-      return options.default;
+function staticColumnErrors(columns, keys, clusteringKey) {
+  return Object.keys(columns).filter(function (name) {
+    return columns[name] && columns[name].static;
+  }).map(function (name) {
+    if (keys.indexOf(name) > -1) {
+      return schemaError('cql.static.key', [name], name + ' cannot be static because it is part of the primary key');
     }
-    return version;
+    return !clusteringKey.length && schemaError('cql.static.clusteringKey', [name], name + ' cannot be static ' +
+      'because the table has no clusteringKey');
+  }).filter(Boolean);
+}
+
+/**
+ * Check that a table can be created with its primary key and static columns.
+ *
+ * @param {String} tableName - the name of the table being created
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns
+ * @param {String[]} partitionKey - the names of the columns of the partition key
+ * @param {String[]} clusteringKey - the names of the columns of the clustering key
+ */
+function checkTable(tableName, columns, partitionKey, clusteringKey) {
+  if (!partitionKey.length) {
+    throw new Error('Table ' + tableName + ' requires a partition key');
+  }
+  partitionKey.concat(clusteringKey).forEach(function (name) {
+    if (!(name in columns)) {
+      throw new Error('Primary key column ' + name + ' is not defined in the schema for table ' + tableName);
+    }
+  });
+  var errors = staticColumnErrors(columns, partitionKey.concat(clusteringKey), clusteringKey);
+  if (errors.length) {
+    throw new Error('Table ' + tableName + ' cannot be created: ' + errors.map(function (error) {
+      return error.message;
+    }).join(', '));
   }
-  return undef;
 }
 
 /**
- * Create a serialization handler to run if specified.
+ * Find columns that would be changed to or from static columns, which Cassandra does not allow.
  *
- * @param {ObjectConversionHandler} handler - handles the conversion of the values of an object
- * @returns {ConversionMapper} - a wrapper that will iterate across the object given and pass the values to the handler
+ * @param {Object.<String, JoiMetaDefinition>} previousColumns - the meta definitions of the columns of the table
+ * @param {Object.<String, JoiMetaDefinition>} nextColumns - the meta definitions of the newer version of the columns
+ * @returns {SchemaError[]} - the changes that are not allowed
+ */
+function alterStaticErrors(previousColumns, nextColumns) {
+  return Object.keys(nextColumns).filter(function (name) {
+    return previousColumns[name] && nextColumns[name] &&
+      Boolean(previousColumns[name].static) !== Boolean(nextColumns[name].static);
+  }).map(function (name) {
+    return schemaError('cql.alter.static', [name], name + ' cannot be changed ' +
+      (nextColumns[name].static ? 'to' : 'from') + ' a static column');
+  });
+}
+
+/**
+ * Find added columns that would mix counter and non-counter columns, which Cassandra does not allow.
+ *
+ * @param {Joi} schema - the schema of the table
+ * @param {Object.<String, JoiMetaDefinition>} columns - the meta definitions of the columns of the table
+ * @param {Object[]} added - the `name` and `type` of the columns being added
+ * @returns {SchemaError[]} - the errors
+ */
+function counterErrors(schema, columns, added) {
+  var keys = toArray(schema.partitionKey()).concat(toArray(schema.clusteringKey()));
+  var regular = Object.keys(columns).filter(function (name) {
+    return keys.indexOf(name) === -1 && columns[name];
+  });
+  if (!regular.length) return [];
+
+  var counters = regular.every(function (name) {
+    return columns[name].type === 'counter';
+  });
+  return added.filter(function (column) {
+    return (column.type === 'counter') !== counters;
+  }).map(function (column) {
+    return schemaError('cql.alter.counter', [column.name], column.name + ' cannot be added because counter and ' +
+      'non-counter columns cannot be in the same table');
+  });
+}
+
+/**
+ * Format a value as a CQL constant for use in table properties.
+ *
+ * @param {(String|Number|Boolean|Object)} value - the value of the property
+ * @returns {String} - the CQL constant
+ */
+function cqlLiteral(value) {
+  if (typeof value === 'string') return "'" + value.replace(/'/g, "''") + "'";
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).map(function (key) {
+      return cqlLiteral(key) + ': ' + cqlLiteral(value[key]);
+    }).join(', ') + '}';
+  }
+  return String(value);
+}
+
+/**
+ * Create a serialization handler for the fields of a user-defined type.
+ *
+ * @param {Object.<String, JoiMetaDefinition>} metas - the meta definitions of the fields
+ * @param {String} name - the name of the handler in the meta definitions, `serialize` or `deserialize`
+ * @returns {ConversionMapper} - a wrapper that will pass each field to the handler of its type, if it has one
  */
-function convertMap(handler) {
+function convertFields(metas, name) {
   return function (data) {
-    if (!handler) return data || {};
-    return Object.keys(data || {}).reduce(function (memo, key) {
-      memo[key] = handler(data[key]);
+    if (!data) return data;
+    return Object.keys(data).reduce(function (memo, key) {
+      var handler = metas[key] && metas[key][name];
+      memo[key] = handler ? handler(data[key]) : data[key];
       return memo;
     }, {});
   };
 }
 
-
 /**
- * Create a serialization handler to run if specified.
+ * Create a serialization handler for the values of a tuple.
  *
- * @param {ArrayConversionHandler} handler - handles the conversion of the values of an array
- * @returns {ConversionMapper} - a wrapper that will iterate across the object given and pass the values to the handler
+ * @param {ConversionMapper[]} handlers - handles the conversion of the value at the same position of the tuple, if any
+ * @returns {ConversionMapper} - a wrapper that will pass each value of the tuple to the handler of its position
  */
-function convertArray(handler) {
+function convertTuple(handlers) {
   return function (data) {
-    if (!handler) return data || [];
-    return (data || []).map(function (value) {
-      return handler(value);
+    if (!data) return data;
+    return data.map(function (value, i) {
+      return handlers[i] ? handlers[i](value) : value;
     });
   };
 }
 
+/**
+ * Build an `INSERT` statement.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} entity - the values of the columns being inserted
+ * @param {WriteOptions} [options] - the TTL and the timestamp of the write
+ * @returns {Statement} - the statement
+ */
+function insertStatement(table, entity, options) {
+  var values = columnValues(table, entity);
+  var names = Object.keys(values);
+  var using = usingClause(table, options, true);
+  table.partitionKey.concat(table.clusteringKey).forEach(function (name) {
+    if (!(name in values)) {
+      throw new Error('The primary key column ' + name + ' is required to insert into ' + table.name);
+    }
+  });
+  if (table.counter) {
+    throw new Error('Rows cannot be inserted into the counter table ' + table.name + ', it can only be updated');
+  }
+  names.forEach(function (name) {
+    if (partialUpdate(table.columns[name], values[name])) {
+      throw new Error('The update of ' + name + ' cannot be inserted into ' + table.name);
+    }
+  });
+
+  return {
+    query: 'INSERT INTO ' + table.qualifiedName + ' (' + names.map(quoteIdentifier).join(', ') + ') VALUES (' +
+      names.map(function () {
+        return '?';
+      }).join(', ') + ')' + using.query,
+    params: names.map(function (name) {
+      return values[name];
+    }).concat(using.params)
+  };
+}
+
+/**
+ * Build an `UPDATE` statement of a single row.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} keys - the values of the primary key of the row
+ * @param {Object} changes - the values of the columns being updated
+ * @param {WriteOptions} [options] - the TTL and the timestamp of the write
+ * @returns {Statement} - the statement
+ */
+function updateStatement(table, keys, changes, options) {
+  var values = columnValues(table, changes);
+  var where = whereClause(table, columnValues(table, keys), true);
+  var using = usingClause(table, options, true);
+  var assignments = [];
+  var params = using.params;
+
+  Object.keys(values).forEach(function (name) {
+    if (table.partitionKey.indexOf(name) > -1 || table.clusteringKey.indexOf(name) > -1) {
+      throw new Error('The primary key column ' + name + ' of ' + table.name + ' cannot be updated');
+    }
+    if (table.columns[name].immutable) {
+      throw new Error('The immutable column ' + name + ' of ' + table.name + ' cannot be updated');
+    }
+    if (table.columns[name].type === 'counter' && !partialUpdate(table.columns[name], values[name])) {
+      throw new Error('The counter column ' + name + ' of ' + table.name + ' can only be incremented or decremented');
+    }
+    if (table.columns[name].frozen && partialUpdate(table.columns[name], values[name])) {
+      throw new Error('The frozen column ' + name + ' of ' + table.name + ' can only be replaced as a whole');
+    }
+    var unknown = unknownOperation(table.columns[name], values[name]);
+    if (unknown) {
+      throw new Error(unknown + ' is not an update of the ' + table.columns[name].type + ' column ' + name + ' of ' +
+        table.name);
+    }
+    var assignment = assignColumn(name, table.columns[name], values[name]);
+    assignments = assignments.concat(assignment.assignments);
+    params = params.concat(assignment.params);
+  });
+  if (!assignments.length) {
+    throw new Error('There are no columns to update in ' + table.name);
+  }
+
+  return {
+    query: 'UPDATE ' + table.qualifiedName + using.query + ' SET ' + assignments.join(', ') + where.query,
+    params: params.concat(where.params)
+  };
+}
+
+/**
+ * Build a `DELETE` statement of a partition or a clustering key prefix.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} keys - the values of the partition key and the clustering key prefix of the rows
+ * @param {WriteOptions} [options] - the timestamp of the delete
+ * @returns {Statement} - the statement
+ */
+function deleteStatement(table, keys, options) {
+  var where = whereClause(table, columnValues(table, keys));
+  var using = usingClause(table, options, false);
+  return {
+    query: 'DELETE FROM ' + table.qualifiedName + using.query + where.query,
+    params: using.params.concat(where.params)
+  };
+}
+
+/**
+ * Build the `USING TTL` and `USING TIMESTAMP` clause of a write.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {WriteOptions} [options] - the TTL and the timestamp of the write
+ * @param {Boolean} ttl - whether the write can have a TTL, which deletes cannot
+ * @returns {Statement} - the clause, empty when there are no options, and its params
+ */
+function usingClause(table, options, ttl) {
+  var error = table.writeOptions.validate(options || {}).error;
+  var clauses = [];
+  var params = [];
+  if (error) {
+    throw new Error('The write options of ' + table.name + ' are not valid: ' + error.details.map(function (detail) {
+      return detail.message;
+    }).join(', '));
+  }
+
+  [['ttl', 'TTL ?'], ['timestamp', 'TIMESTAMP ?']].forEach(function (option) {
+    var value = (options || {})[option[0]];
+    if (value == null) return;
+    if (table.counter) {
+      throw new Error('The writes of the counter table ' + table.name + ' cannot have a ' + option[0]);
+    }
+    if (option[0] === 'ttl' && !ttl) {
+      throw new Error('The rows of ' + table.name + ' cannot be deleted with a ttl');
+    }
+    clauses.push(option[1]);
+    params.push(value);
+  });
+  return { query: clauses.length ? ' USING ' + clauses.join(' AND ') : '', params: params };
+}
+
+/**
+ * Build a `SELECT` statement of a partition or a clustering key prefix that does not need `ALLOW FILTERING`.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} [criteria] - the values of the partition key and the clustering key prefix of the rows, all rows
+ *    of the table when empty
+ * @param {Object} [options] - optional settings for the statement
+ * @param {String[]} [options.fields] - the columns being selected, all of them by default
+ * @param {Number} [options.limit] - the maximum number of rows
+ * @param {Boolean} [options.reverse] - whether the rows of the partition are selected in the reverse of the
+ *    clustering order
+ * @returns {Statement} - the statement
+ */
+function selectStatement(table, criteria, options) {
+  var values = columnValues(table, criteria || {});
+  var fields = (options || {}).fields;
+  var limit = (options || {}).limit;
+  var where = Object.keys(values).length ? whereClause(table, values) : { query: '', params: [] };
+  var orderBy = (options || {}).reverse ? reverseOrder(table, values) : '';
+
+  if (fields) {
+    fields = Object.keys(columnValues(table, fields.reduce(function (memo, name) {
+      memo[name] = true;
+      return memo;
+    }, {})));
+  }
+
+  return {
+    query: 'SELECT ' + (fields ? fields.map(quoteIdentifier).join(', ') : '*') + ' FROM ' + table.qualifiedName +
+      where.query + orderBy + (limit ? ' LIMIT ?' : ''),
+    params: limit ? where.params.concat(limit) : where.params
+  };
+}
+
+/**
+ * Build the `ORDER BY` clause that selects the rows of a partition in the reverse of the clustering order.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} values - the values that restrict the rows by the name of their column
+ * @returns {String} - the clause
+ */
+function reverseOrder(table, values) {
+  if (!table.clusteringKey.length || !(table.partitionKey[0] in values)) {
+    throw new Error('The rows of ' + table.name + ' can only be ordered within a partition by its clustering key');
+  }
+  return ' ORDER BY ' + table.clusteringKey.map(function (name) {
+    return quoteIdentifier(name) + (table.clusteringOrder[name] === 'desc' ? ' ASC' : ' DESC');
+  }).join(', ');
+}
+
+/**
+ * Map the values of an entity to the columns of a table, renaming aliased properties and skipping undefined values.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} entity - the values of the columns
+ * @returns {Object} - the values by the name of their column
+ */
+function columnValues(table, entity) {
+  return Object.keys(entity).reduce(function (memo, key) {
+    var name = table.aliases[key] || key;
+    if (!(name in table.columns)) {
+      throw new Error(name + ' is not a column of ' + table.name);
+    }
+    if (entity[key] !== undefined) {
+      memo[name] = entity[key];
+    }
+    return memo;
+  }, {});
+}
+
+/**
+ * Build the `WHERE` clause that restricts the primary key of a table.
+ *
+ * Cassandra requires the whole partition key and a prefix of the clustering key, or else `ALLOW FILTERING`.
+ *
+ * @param {Object} table - the description of the table from `statements`
+ * @param {Object} keys - the values of the primary key columns by their name
+ * @param {Boolean} [row] - whether the whole clustering key is required to restrict a single row
+ * @returns {Statement} - the clause and its parameters
+ */
+function whereClause(table, keys, row) {
+  var names = table.partitionKey.concat(table.clusteringKey);
+  var prefix = true;
+
+  Object.keys(keys).forEach(function (name) {
+    if (names.indexOf(name) === -1) {
+      throw new Error(name + ' of ' + table.name + ' cannot be restricted without ALLOW FILTERING because it is not ' +
+        'part of the primary key');
+    }
+  });
+  names.forEach(function (name, i) {
+    var isPartitionKey = i < table.partitionKey.length;
+    if (name in keys && !prefix) {
+      throw new Error(name + ' of ' + table.name + ' cannot be restricted without ALLOW FILTERING because the ' +
+        'clustering columns before it are not restricted');
+    }
+    if (!(name in keys) && (isPartitionKey || row)) {
+      throw new Error('The ' + (isPartitionKey ? 'partition' : 'clustering') + ' key column ' + name + ' of ' +
+        table.name + ' is required');
+    }
+    prefix = prefix && name in keys;
+  });
+
+  names = names.filter(function (name) {
+    return name in keys;
+  });
+  return {
+    query: ' WHERE ' + names.map(function (name) {
+      return quoteIdentifier(name) + (Array.isArray(keys[name]) ? ' IN ?' : ' = ?');
+    }).join(' AND '),
+    params: names.map(function (name) {
+      return keys[name];
+    })
+  };
+}
+
+/**
+ * Derive the schema that validates the values of an operation on a row from the schema of its table.
+ *
+ * @param {Joi} schema - the object schema of the table
+ * @param {String} operation - `create`, `update` or `delete`
+ * @returns {Joi} - the schema of the operation
+ */
+function operationSchema(schema, operation) {
+  var keys = toArray(schema.partitionKey()).concat(toArray(schema.clusteringKey()));
+  var children = childrenOf(schema);
+  if (!children) return schema;
+
+  return schema.keys(children.reduce(function (memo, child) {
+    memo[child.key] = operationColumn(child.schema, operation, keys.indexOf(child.key) > -1);
+    return memo;
+  }, {}));
+}
+
+/**
+ * Derive the validator of a column for an operation on a row.
+ *
+ * @param {Joi} column - the validator of the column
+ * @param {String} operation - `create`, `update` or `delete`
+ * @param {Boolean} key - whether the column is part of the primary key
+ * @returns {Joi} - the validator of the column for the operation
+ */
+function operationColumn(column, operation, key) {
+  // the primary key identifies the row of every operation, and immutable columns can only be set when it is created
+  column = mutableOf(column);
+  if (key) return column.required();
+  if (operation === 'update' && findMetaValue(column, 'immutable')) return column.forbidden();
+  if (operation !== 'create') return column.optional();
+
+  column = wholeCollection(column);
+  return isOmittable(column) ? column : column.required();
+}
+
+/**
+ * Remove the updates, e.g. `{ add: [...] }`, from the validator of a `set` or a `list`, which only leaves the
+ * whole collection.
+ *
+ * @param {Joi} column - the validator of the column
+ * @returns {Joi} - the validator of the whole collection
+ */
+function wholeCollection(column) {
+  var meta = findMeta(column);
+  if (!meta || ['set', 'list'].indexOf(meta.type) === -1 || matchesOf(column).length < 2) return column;
+  return sliceMatches(column, 1);
+}
+
+//
+// The operations of the updates of the columns that can be updated partially. Both the values that are added and
+// those that are removed can be given at once, which Cassandra applies in the same statement.
+//
+var updateOperations = {
+  set: ['add', 'remove'],
+  list: ['prepend', 'append', 'remove', 'index'],
+  counter: ['increment', 'decrement']
+};
+
+/**
+ * Find an operation of an update of a column that the type of the column does not have, e.g. the `append` of a `set`.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @param {*} value - the value of the column
+ * @returns {String|undefined} - the first unknown operation, if any
+ */
+function unknownOperation(meta, value) {
+  if (!partialUpdate(meta, value)) return undef;
+  return Object.keys(value).filter(function (operation) {
+    return value[operation] !== undefined && updateOperations[meta.type].indexOf(operation) === -1;
+  })[0];
+}
+
+/**
+ * Determine whether a value is an update of a collection, e.g. `{ add: [...] }`, or of a counter,
+ * e.g. `{ increment: 1 }`, rather than the whole value.
+ *
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @param {*} value - the value of the column
+ * @returns {Boolean} - whether the value is an update
+ */
+function partialUpdate(meta, value) {
+  if (meta && meta.type === 'counter') return Boolean(value) && typeof value === 'object' && !isInstance(value);
+  return Boolean(meta && ['set', 'list'].indexOf(meta.type) > -1 && value && !Array.isArray(value));
+}
+
+/**
+ * Build the assignments of the `SET` clause of an `UPDATE` statement for a column.
+ *
+ * @param {String} name - the name of the column
+ * @param {JoiMetaDefinition} meta - the meta definition of the column
+ * @param {*} value - the value of the column
+ * @returns {Object} - the `assignments` of the column and their `params`
+ */
+function assignColumn(name, meta, value) {
+  var column = quoteIdentifier(name);
+  var assignments = [];
+  var params = [];
+  if (!partialUpdate(meta, value)) {
+    return { assignments: [column + ' = ?'], params: [value] };
+  }
+
+  [
+    ['prepend', column + ' = ? + ' + column],
+    ['add', column + ' = ' + column + ' + ?'],
+    ['append', column + ' = ' + column + ' + ?'],
+    ['remove', column + ' = ' + column + ' - ?'],
+    ['increment', column + ' = ' + column + ' + ?'],
+    ['decrement', column + ' = ' + column + ' - ?']
+  ].forEach(function (operation) {
+    if (value[operation[0]] != null) {
+      assignments.push(operation[1]);
+      params.push(value[operation[0]]);
+    }
+  });
+  Object.keys(value.index || {}).forEach(function (index) {
+    assignments.push(column + '[?] = ?');
+    params.push(Number(index), value.index[index]);
+  });
+  return { assignments: assignments, params: params };
+}
+
+/**
+ * Validate a value like `joi.validate` of `@hapi/joi` 15, which `joi` 17 leaves to the validators themselves.
+ *
+ * @param {*} value - the value being validated
+ * @param {(Joi|Object)} schema - the validator, or a description of it that joi compiles
+ * @param {Object} [options] - the options of the validation
+ * @returns {Object} - the validated `value` and the `error`, `null` when it is valid
+ */
+function validate(value, schema, options) {
+  var result = this.compile(schema).validate(value, options);
+  return { error: result.error || null, value: result.value };
+}
+
+/**
+ * Create an instance of joi with the CQL types and the operations that describe Cassandra tables, which extends
+ * each of the types of joi rather than joi itself, so that the other users of joi are left untouched.
+ *
+ * @param {Joi} [base] - the joi that is extended, `@hapi/joi` 15 unless `joi` 17 is given
+ * @returns {Joi} - the instance, with the CQL types as `cql` and `create` for another instance
+ */
+function create(base) {
+  base = base || Joi;
+  var modern = isModern(base.any());
+  var types = baseTypes[modern ? 'modern' : 'legacy'];
+  var names = extensions.map(function (extension) {
+    return extension.type;
+  });
+  var joi = base.extend.apply(base, types.filter(function (name) {
+    return names.indexOf(name) === -1;
+  }).map(function (name) {
+    return { type: name };
+  }).concat(extensions).map(function (spec) {
+    return modern ? modernExtension(base, spec) : legacyExtension(base, spec);
+  }));
+
+  Object.keys(typeAliases).forEach(function (alias) {
+    // the aliases would otherwise create the types of the joi that is extended
+    if (types.indexOf(typeAliases[alias]) > -1) joi[alias] = joi[typeAliases[alias]];
+  });
+  types.concat(names).forEach(function (name) {
+    Object.assign(Object.getPrototypeOf(joi[name]()), anyProto);
+  });
+  Object.assign(Object.getPrototypeOf(joi.object()), proto);
+  types.filter(function (name) {
+    return !modern && name !== 'alternatives';
+  }).forEach(function (name) {
+    Object.assign(Object.getPrototypeOf(joi[name]()), legacyProto);
+  });
+  if (modern) joi.validate = validate;
+  joi.cql = cqlTypes(joi);
+  joi.create = create;
+  return joi;
+}
+
+module.exports = create();
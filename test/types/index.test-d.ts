@@ -0,0 +1,103 @@
+import { expectAssignable, expectError, expectNotAssignable, expectType } from 'tsd';
+import Joi = require('joi');
+import joc = require('../..');
+
+const cql = joc.cql;
+
+const albums = joc.object({
+  album_id: cql.uuid(),
+  artist_id: cql.uuid(),
+  name: cql.text().required(),
+  plays: cql.bigint({ format: 'number' }),
+  released: cql.timestamp(),
+  tags: cql.set(cql.text()),
+  tracks: cql.list(cql.text()),
+  ratings: cql.map('text', cql.int()),
+  credits: cql.frozen(cql.list(cql.text())),
+  location: cql.tuple(cql.double(), cql.double())
+}).partitionKey('artist_id').clusteringKey({ album_id: 'desc' });
+
+type Album = joc.Row<typeof albums>;
+
+//
+// the types of the columns
+//
+expectType<string | undefined>(({} as Album).name);
+expectType<string | number | undefined>(({} as Album).plays);
+expectType<string | number | Date | undefined>(({} as Album).released);
+expectType<{ [key: string]: number } | undefined>(({} as Album).ratings);
+expectType<[string | number, string | number] | undefined>(({} as Album).location);
+expectType<joc.ValueOf<ReturnType<typeof cql.bigint>>>({} as string | number | bigint);
+expectType<joc.ValueOf<ReturnType<typeof cql.varint>>>({} as string | number | bigint);
+
+//
+// the updates of collections
+//
+expectAssignable<Album>({ tags: ['grunge'] });
+expectAssignable<Album>({ tags: { add: ['grunge'] } });
+expectAssignable<Album>({ tags: { add: ['grunge'], remove: ['rock'] } });
+expectNotAssignable<Album>({ tags: { append: ['grunge'] } });
+expectAssignable<Album>({ tracks: { prepend: ['Intro'] } });
+expectAssignable<Album>({ tracks: { append: ['Outro'], remove: ['Skit'] } });
+expectAssignable<Album>({ tracks: { index: { 0: 'Intro' } } });
+expectNotAssignable<Album>({ tracks: { add: ['Intro'] } });
+expectNotAssignable<Album>({ tags: [1] });
+
+//
+// frozen collections are replaced as a whole
+//
+expectAssignable<Album>({ credits: ['Butch Vig'] });
+expectNotAssignable<Album>({ credits: { append: ['Butch Vig'] } });
+
+//
+// counters are either values or updates of them
+//
+const plays = joc.object({ album_id: cql.uuid(), plays: cql.counter({ format: 'string' }) });
+expectAssignable<joc.Row<typeof plays>>({ plays: '1' });
+expectAssignable<joc.Row<typeof plays>>({ plays: { increment: '1' } });
+expectNotAssignable<joc.Row<typeof plays>>({ plays: { add: '1' } });
+
+//
+// the operations of the schema
+//
+expectType<{ [column: string]: 'asc' | 'desc' }>(albums.clusteringOrder());
+expectType<string>(albums.toCreateTable('albums', { keyspace: 'music' }));
+expectType<joc.JsonSchema>(albums.toJsonSchema());
+expectType<string | undefined>(cql.set(cql.text()).toJsonSchema()['x-cql-type']);
+expectType<joc.JoiMetaDefinition | undefined>(albums.toCql().tags);
+expectType<joc.JoiMetaDefinition | undefined>(cql.text().static().ttl(60).toCql());
+expectType<number | undefined>(cql.text().ttl());
+expectType<joc.SchemaError[]>(albums.index('tags', { target: 'values' }).validateCqlSchema());
+expectError(albums.index('genre'));
+expectType<Album>(albums.validateFor('create', {}).value);
+expectType<joc.Statement>(albums.statements('albums').update({ album_id: 'a' }, { tags: { add: ['grunge'] } }));
+expectType<joc.Statement>(albums.statements('albums').find({ artist_id: ['a', 'b'] }, { limit: 10, reverse: true }));
+expectError(albums.statements('albums').find({ name: 'Nevermind' }, { fields: ['genre'] }));
+
+//
+// definitions
+//
+expectType<joc.TableDefinition>(albums.toDefinition());
+expectAssignable<joc.TableDefinition>({
+  columns: { id: 'uuid', tags: { type: 'set', setType: 'text', nullable: true } },
+  partitionKey: ['id']
+});
+expectNotAssignable<joc.TableDefinition>({ columns: { id: { type: 'uuuid' } } });
+expectType<string[]>(cql.fromDefinition(albums.toDefinition()).toCreateIndexes('albums'));
+
+//
+// other instances, where the default instance of @hapi/joi 15 leaves out what only joi 17 has
+//
+expectType<joc.Root>(joc.create());
+expectError(joc.function());
+expectError(joc.isSchema(cql.text()));
+expectError(cql.text().validateAsync('a'));
+expectError(cql.text().required().prefs({ convert: false }));
+expectError(albums.external(() => undefined));
+expectType<joc.JoiMetaDefinition | undefined>(cql.text().required().regex(/a/).static().toCql());
+
+const modern = joc.create(Joi);
+expectType<joc.ModernRoot>(modern);
+expectType<Promise<string>>(modern.cql.text().required().validateAsync('a'));
+expectType<boolean>(modern.isSchema(modern.cql.text()));
+expectType<string>(modern.object({ id: modern.cql.uuid() }).partitionKey('id').prefs({ convert: false }).toCreateTable('ids'));
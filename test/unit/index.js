@@ -1,11 +1,37 @@
 /* eslint-disable no-loss-of-precision */
+/* global BigInt */
 
 var assume = require('assume');
 var undef;
 var Buffer = require('buffer').Buffer;
 var uuid = require('uuid');
+var Joi = require('@hapi/joi');
 
-var joiOfCql = require('../../index');
+//
+// The tests run against @hapi/joi 15 unless JOI=17 is set, which runs them against joi 17.
+//
+var base = process.env.JOI === '17' ? require('joi') : Joi; // eslint-disable-line no-process-env
+var joiOfCql = base === Joi ? require('../../index') : require('../../index').create(base);
+
+/**
+ * Stand in for the types of the cassandra-driver, which keep the string that they are created from.
+ *
+ * @param {String} name - the name of the type
+ * @returns {Function} - the type
+ */
+function driverType(name) {
+  function DriverType(value) {
+    this.type = name;
+    this.value = value;
+  }
+  DriverType.fromString = function (value) {
+    return new DriverType(value);
+  };
+  DriverType.prototype.toString = function () {
+    return this.value;
+  };
+  return DriverType;
+}
 
 describe('joi-of-cql', function () {
   describe('.cql', function () {
@@ -17,7 +43,10 @@ describe('joi-of-cql', function () {
         '9223372036854775807',
         '-9223372036854775808',
         Number.MAX_SAFE_INTEGER,
-        Number.MIN_SAFE_INTEGER
+        Number.MIN_SAFE_INTEGER,
+        BigInt(0),
+        BigInt('9223372036854775807'),
+        BigInt('-9223372036854775808')
       ],
       failing: [
         '',
@@ -26,7 +55,12 @@ describe('joi-of-cql', function () {
         9223372036854775807,          // Falls outside of the safe integer range, causing precision loss.
         '−9,223,372,036,854,775,808',
         '−9223372036854775808',       // Leading dash is not a negative sign
-        '-92233720368547758080'       // Beyond a 64 bit integer range
+        '-92233720368547758080',      // Beyond a 64 bit integer range
+        '9223372036854775808',
+        '-9223372036854775809',
+        '9999999999999999999',
+        BigInt('9223372036854775808'),
+        BigInt('-9223372036854775809')
       ]
     };
     var stringExamples = {
@@ -54,9 +88,39 @@ describe('joi-of-cql', function () {
         failing: [0, 1, '', {}, []]
       },
       counter: int64Examples,
-      decimal: floatExamples,
-      double: floatExamples,
-      float: floatExamples,
+      date: {
+        passing: ['2024-01-31', '1970-01-01', '-0001-12-31', 0, 2147483648, 4294967295, new Date()],
+        failing: ['', '2024-13-01', '2024-01-32', '24-01-31', '2024-01-31T00:00:00Z', -1, 4294967296, 1.5, {}, []]
+      },
+      decimal: {
+        passing: floatExamples.passing.concat(['123.1', '-1.5e10', '1.5E-10', '1e400']),
+        failing: floatExamples.failing.concat(['1.5e', 'e10', '1.5e1.5'])
+      },
+      double: {
+        passing: floatExamples.passing.concat(['1.5e10', '-1.5e-10', 1e300, '1e300']),
+        failing: floatExamples.failing.concat(['1e400', '-1e400', '1.5e'])
+      },
+      duration: {
+        passing: [
+          '1h30m',
+          '-2y3mo',
+          '1w2d3h4m5s6ms7us8ns',
+          '3µs',
+          '1H30M',
+          'P1Y2M3DT4H5M6S',
+          'PT1H30M',
+          'P2W',
+          '-P1D',
+          'P0001-02-03T04:05:06',
+          { months: 1, days: 2, nanoseconds: 3 },
+          { months: 0, days: 0, nanoseconds: '9223372036854775807' }
+        ],
+        failing: ['', '1', '1x', 'h1', 'P', 'PT', 'P1H', 1, { months: 1 }, []]
+      },
+      float: {
+        passing: floatExamples.passing.concat(['1.5e10', 3.4e38, '-3.4e38', 1e-40, '1.5e-10']),
+        failing: floatExamples.failing.concat([3.5e38, -1e39, '1e39', 1e-50, '-1e-50', '1.5e'])
+      },
       inet: {
         passing: [
           '127.0.0.1',
@@ -71,7 +135,15 @@ describe('joi-of-cql', function () {
         passing: [0, 1, 2147483647, -2147483647, '2147483647', '-2147483647'],
         failing: ['', 'a', {}, []]
       },
+      smallint: {
+        passing: [0, 1, 32767, -32768, '32767', '-32768'],
+        failing: ['', 'a', 32768, -32769, 1.5, {}, []]
+      },
       text: stringExamples,
+      time: {
+        passing: ['13:45:00', '13:45:00.123456789', '00:00:00.1', '23:59:59', 0, 86399999999999],
+        failing: ['', '13:45', '24:00:00', '13:60:00', '13:45:00.1234567890', -1, 86400000000000, {}, []]
+      },
       timestamp: {
         passing: [
           '2015-09-18T00:59:41.840Z',
@@ -113,6 +185,10 @@ describe('joi-of-cql', function () {
           }
         }
       },
+      tinyint: {
+        passing: [0, 1, 127, -128, '127', '-128'],
+        failing: ['', 'a', 128, -129, 1.5, {}, []]
+      },
       uuid: {
         passing: [uuid.v4()],
         failing: ['', 'a', 1, -3, {}, []],
@@ -130,9 +206,10 @@ describe('joi-of-cql', function () {
           -2,
           '2345',
           '-1234567890123456789012345678901234567890',
-          '9876543211234567890123456789012345678901234567890'
+          '9876543211234567890123456789012345678901234567890',
+          BigInt('-9876543211234567890123456789012345678901234567890')
         ],
-        failing: ['', 'a', {}, []]
+        failing: ['', 'a', '1\na', 'a\n1', {}, []]
       },
       map: {
         passing: [{ args: ['', joiOfCql.cql.text().strict(true)], value: { name: 'true' } }],
@@ -172,6 +249,28 @@ describe('joi-of-cql', function () {
         }
         ]
       },
+      tuple: {
+        passing: [{
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text(), joiOfCql.cql.timestamp()],
+          value: [1, 'one', '2015-09-18T00:59:41.840Z']
+        }, {
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text().allow(null)],
+          value: [1, null]
+        }],
+        failing: [{
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text(), joiOfCql.cql.timestamp()],
+          value: [1, 'one']
+        }, {
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text()],
+          value: [1, 'one', 'two']
+        }, {
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text()],
+          value: ['one', 1]
+        }, {
+          args: [joiOfCql.cql.int(), joiOfCql.cql.text()],
+          value: { 0: 1, 1: 'one' }
+        }]
+      },
       set: {
         passing: [{
           args: [joiOfCql.cql.text().strict(true)],
@@ -212,6 +311,79 @@ describe('joi-of-cql', function () {
       describe('.' + type, generateDescription(type, examples[type]));
     });
 
+    describe('numeric ranges', function () {
+      /**
+       * Find the types of the errors for a value.
+       *
+       * @param {*} value - the value being validated
+       * @param {Joi} schema - the validator
+       * @returns {String[]} - the types of the errors
+       */
+      function errorTypes(value, schema) {
+        // joi 17 nests the errors of each alternative in the context of `alternatives.match`
+        return joiOfCql.validate(value, schema).error.details.reduce(function (types, detail) {
+          return types.concat(detail.type, (detail.context.details || []).map(function (inner) {
+            return inner.type;
+          }));
+        }, []);
+      }
+
+      it('should report strings beyond the range of a 64-bit signed long', function () {
+        assume(errorTypes('9223372036854775808', joiOfCql.cql.bigint())).contains('string.int64');
+        assume(errorTypes('-9223372036854775809', joiOfCql.cql.counter())).contains('string.int64');
+      });
+
+      it('should report strings beyond the range of a double', function () {
+        assume(errorTypes('1e400', joiOfCql.cql.double())).contains('string.double');
+      });
+
+      it('should report values beyond the range or precision of a float', function () {
+        assume(errorTypes(1e39, joiOfCql.cql.float())).contains('number.float');
+        assume(errorTypes('1e39', joiOfCql.cql.float())).contains('string.float');
+        assume(errorTypes(1e-50, joiOfCql.cql.float())).contains('number.floatPrecision');
+        assume(errorTypes('1e-50', joiOfCql.cql.float())).contains('string.floatPrecision');
+      });
+    });
+
+    describe('integer formats', function () {
+      var values = [BigInt(1), '9223372036854775807', 5, '7'];
+
+      /**
+       * Validate each of the values with a validator.
+       *
+       * @param {Joi} schema - the validator
+       * @returns {Array} - the validated values
+       */
+      function validateAll(schema) {
+        return values.map(function (value) {
+          return joiOfCql.validate(value, schema).value;
+        });
+      }
+
+      it('should leave values as they are without a format', function () {
+        assume(validateAll(joiOfCql.cql.bigint())).deep.equals(values);
+      });
+
+      it('should convert values to strings', function () {
+        assume(validateAll(joiOfCql.cql.bigint({ format: 'string' }))).deep.equals(['1', '9223372036854775807', '5', '7']);
+      });
+
+      it('should convert values to numbers when they are safe integers', function () {
+        assume(validateAll(joiOfCql.cql.counter({ format: 'number' }).required())).deep.equals([1, '9223372036854775807', 5, 7]);
+      });
+
+      it('should convert values to BigInt', function () {
+        assume(validateAll(joiOfCql.cql.varint({ format: 'bigint' })))
+          .deep.equals([BigInt(1), BigInt('9223372036854775807'), BigInt(5), BigInt(7)]);
+      });
+
+      it('should not allow unknown formats', function () {
+        assume(function () {
+          joiOfCql.cql.bigint({ format: 'long' });
+        }).throws();
+      });
+    });
+
     describe('.meta', function () {
       var schema = {
         id: joiOfCql.cql.uuid({ default: 'v4' }),
@@ -254,6 +426,12 @@ describe('joi-of-cql', function () {
         phones: joiOfCql.cql.json()
       };
 
+      it('should write BigInt values as strings', function () {
+        assume(joiOfCql.validate({ count: BigInt('9223372036854775807') }, joiOfCql.cql.json()).value)
+          .equals('{"count":"9223372036854775807"}');
+        assume(joiOfCql.cql.json().toCql().serialize([BigInt(1)])).equals('["1"]');
+      });
+
       it('should serialize to a string on validation', function () {
         var target = {
           phones: {
@@ -308,6 +486,67 @@ describe('joi-of-cql', function () {
         var cql = joiOfCql.cql.map('', joiOfCql.cql.text()).toCql();
         assume(cql.deserialize(null)).deep.equals({});
       });
+
+      it('should record the key type', function () {
+        assume(joiOfCql.cql.map('', joiOfCql.cql.text()).toCql().mapType).deep.equals(['text', 'text']);
+        assume(joiOfCql.cql.map('uuid', joiOfCql.cql.text()).toCql().mapType).deep.equals(['uuid', 'text']);
+        assume(joiOfCql.cql.map(joiOfCql.cql.int(), joiOfCql.cql.uuid()).toCql().mapType).deep.equals(['int', 'uuid']);
+        assume(joiOfCql.cql.map(joiOfCql.cql.timestamp(), joiOfCql.cql.int()).toCql().mapType).deep.equals(['timestamp', 'int']);
+      });
+
+      it('should throw for unknown key types', function () {
+        assume(function () {
+          joiOfCql.cql.map('intt', joiOfCql.cql.text());
+        }).throws('Unknown CQL type intt');
+        assume(function () {
+          joiOfCql.cql.map('writeOptions', joiOfCql.cql.text());
+        }).throws('Unknown CQL type writeOptions');
+        assume(joiOfCql.cql.map(undefined, joiOfCql.cql.text()).toCql().mapType).deep.equals(['text', 'text']);
+      });
+
+      it('should validate the keys with the key type', function () {
+        var ints = joiOfCql.cql.map(joiOfCql.cql.int(), joiOfCql.cql.text());
+        assume(joiOfCql.validate({ '1': 'one', '-2': 'minus two' }, ints).error).equals(null);
+        assume(joiOfCql.validate({ 1.5: 'one and a half' }, ints).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ one: 'one' }, ints).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ 2147483648: 'too big' }, ints).error).is.instanceOf(Error);
+
+        var uuids = joiOfCql.cql.map(joiOfCql.cql.uuid(), joiOfCql.cql.int());
+        assume(joiOfCql.validate({ '00000000-0000-0000-0000-000000000000': 1 }, uuids).error).equals(null);
+        assume(joiOfCql.validate({ 'not-a-uuid': 1 }, uuids).error).is.instanceOf(Error);
+
+        var timestamps = joiOfCql.cql.map(joiOfCql.cql.timestamp(), joiOfCql.cql.int());
+        assume(joiOfCql.validate({ '2015-09-18T00:59:41.840Z': 1, '1442537981840': 2 }, timestamps).error).equals(null);
+        assume(joiOfCql.validate({ yesterday: 1 }, timestamps).error).is.instanceOf(Error);
+      });
+
+      it('should accept any text key', function () {
+        var result = joiOfCql.validate({ 'a key with spaces!': 'value' }, joiOfCql.cql.map('text', joiOfCql.cql.text()));
+        assume(result.error).equals(null);
+      });
+
+      it('should serialize and deserialize the keys', function () {
+        var key = joiOfCql.cql.text().meta({
+          serialize: function (value) {
+            return value.toLowerCase();
+          },
+          deserialize: function (value) {
+            return value.toUpperCase();
+          }
+        });
+        var cql = joiOfCql.cql.map(key, joiOfCql.cql.json()).toCql();
+        assume(cql.serialize({ KEY: { a: 1 } })).deep.equals({ key: '{"a":1}' });
+        assume(cql.deserialize({ key: '{"a":1}' })).deep.equals({ KEY: { a: 1 } });
+      });
+
+      it('should be described with the key type', function () {
+        var statement = joiOfCql.object({
+          id: joiOfCql.cql.uuid(),
+          scores: joiOfCql.cql.map(joiOfCql.cql.int(), joiOfCql.cql.text())
+        }).partitionKey('id').toCreateTable('games');
+        assume(statement).contains('  scores map<int, text>,');
+        assume(joiOfCql.cql.create('map', { mapType: ['bigint', 'text'] }).toCql().mapType).deep.equals(['bigint', 'text']);
+      });
     });
 
     describe('.list', function () {
@@ -321,6 +560,196 @@ describe('joi-of-cql', function () {
       });
     });
 
+    describe('.tuple', function () {
+      var tuple = joiOfCql.cql.tuple(joiOfCql.cql.int(), joiOfCql.cql.json(), joiOfCql.cql.list(joiOfCql.cql.json()));
+
+      it('should record the component types in the meta', function () {
+        var cql = joiOfCql.cql.tuple(joiOfCql.cql.int(), joiOfCql.cql.text(), joiOfCql.cql.timestamp()).toCql();
+        assume(cql.type).equals('tuple');
+        assume(cql.tupleType).deep.equals(['int', 'text', 'timestamp']);
+      });
+
+      it('should serialize and deserialize each component with its own handler', function () {
+        var cql = tuple.toCql();
+        assume(cql.serialize([1, { a: 1 }, [{ b: 2 }]])).deep.equals([1, '{"a":1}', ['{"b":2}']]);
+        assume(cql.deserialize([1, '{"a":1}', ['{"b":2}']])).deep.equals([1, { a: 1 }, [{ b: 2 }]]);
+        assume(cql.serialize(null)).equals(null);
+      });
+
+      it('should be described as a CQL type', function () {
+        var schema = joiOfCql.object({
+          id: joiOfCql.cql.uuid(),
+          position: joiOfCql.cql.tuple(joiOfCql.cql.int(), joiOfCql.cql.text(), joiOfCql.cql.timestamp()),
+          history: joiOfCql.cql.list(joiOfCql.cql.tuple(joiOfCql.cql.double(), joiOfCql.cql.double()))
+        }).partitionKey('id');
+        assume(schema.toCreateTable('tracks')).contains([
+          '  position tuple<int, text, timestamp>,',
+          '  history list<tuple<double, double>>,'
+        ].join('\n'));
+      });
+
+      it('should be created from its meta', function () {
+        var created = joiOfCql.cql.create('tuple', { tupleType: ['int', 'text'], nullable: true });
+        assume(created.toCql().tupleType).deep.equals(['int', 'text']);
+        assume(joiOfCql.validate([1, 'one'], created).error).equals(null);
+        assume(joiOfCql.validate(null, created).error).equals(null);
+        assume(joiOfCql.validate(['one', 1], created).error).is.instanceOf(Error);
+      });
+    });
+
+    describe('.frozen', function () {
+      it('should describe nested collections recursively', function () {
+        var cql = joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()))).toCql();
+        assume(cql.mapType).deep.equals(['text', { type: 'list', listType: 'int', frozen: true }]);
+        assume(joiOfCql.cql.list(joiOfCql.cql.set(joiOfCql.cql.text())).toCql().listType)
+          .deep.equals({ type: 'set', setType: 'text', frozen: true });
+      });
+
+      it('should only accept whole values for frozen collections', function () {
+        var schema = joiOfCql.object({
+          tags: joiOfCql.cql.frozen(joiOfCql.cql.set(joiOfCql.cql.text())),
+          scores: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.list(joiOfCql.cql.int()))
+        });
+        assume(joiOfCql.validate({ tags: ['a', 'b'], scores: { math: [1, 2] } }, schema).error).equals(null);
+        assume(joiOfCql.validate({ tags: { add: ['c'] } }, schema).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ scores: { math: { append: [3] } } }, schema).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ scores: { math: ['a'] } }, schema).error).is.instanceOf(Error);
+      });
+
+      it('should keep the modifiers of the frozen collection', function () {
+        var tracks = joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()).allow(null));
+        var tags = joiOfCql.cql.frozen(joiOfCql.cql.set(joiOfCql.cql.text()).required());
+        assume(joiOfCql.validate(null, tracks).error).equals(null);
+        assume(joiOfCql.validate({ append: [1] }, tracks).error).is.instanceOf(Error);
+        assume(joiOfCql.validate(undefined, tags).error).is.instanceOf(Error);
+        assume(joiOfCql.validate(['a'], tags).error).equals(null);
+        assume(joiOfCql.validate(undefined, joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()).default([]))).value)
+          .deep.equals([]);
+      });
+
+      it('should describe frozen types as CQL types', function () {
+        var schema = joiOfCql.object({
+          id: joiOfCql.cql.uuid(),
+          tags: joiOfCql.cql.frozen(joiOfCql.cql.set(joiOfCql.cql.text())),
+          scores: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()))),
+          matrix: joiOfCql.cql.list(joiOfCql.cql.list(joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.int()))),
+          home: joiOfCql.cql.frozen(joiOfCql.cql.udt('address', { street: joiOfCql.cql.text() }))
+        }).partitionKey('id');
+        assume(schema.toCreateTable('players')).contains([
+          '  tags frozen<set<text>>,',
+          '  scores map<text, frozen<list<int>>>,',
+          '  matrix list<frozen<list<frozen<map<text, int>>>>>,',
+          '  home frozen<address>,'
+        ].join('\n'));
+      });
+
+      it('should serialize nested collections recursively', function () {
+        var cql = joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.list(joiOfCql.cql.json())).toCql();
+        assume(cql.serialize({ a: [{ b: 1 }] })).deep.equals({ a: ['{"b":1}'] });
+        assume(cql.deserialize({ a: ['{"b":1}'] })).deep.equals({ a: [{ b: 1 }] });
+      });
+
+      it('should rebuild nested types from their meta', function () {
+        var meta = joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()))).toCql();
+        var created = joiOfCql.cql.create('map', meta);
+        assume(created.toCql().mapType).deep.equals(meta.mapType);
+        assume(joiOfCql.validate({ a: [1, 2] }, created).error).equals(null);
+        assume(joiOfCql.validate({ a: { append: [1] } }, created).error).is.instanceOf(Error);
+
+        var frozen = joiOfCql.cql.create('set', { setType: 'int', frozen: true });
+        assume(frozen.toCql().frozen).equals(true);
+        assume(joiOfCql.validate({ add: [1] }, frozen).error).is.instanceOf(Error);
+      });
+
+      it('should throw for types that cannot be frozen', function () {
+        assume(function () {
+          joiOfCql.cql.frozen(joiOfCql.cql.text());
+        }).throws(/can be frozen/);
+      });
+    });
+
+    describe('.udt', function () {
+      var address = joiOfCql.cql.udt('address', {
+        street: joiOfCql.cql.text(),
+        zip: joiOfCql.cql.int(),
+        location: joiOfCql.cql.udt('coordinates', {
+          latitude: joiOfCql.cql.double(),
+          longitude: joiOfCql.cql.double()
+        }),
+        phones: joiOfCql.cql.set(joiOfCql.cql.text()),
+        notes: joiOfCql.cql.json()
+      });
+
+      it('should validate the fields of the type', function () {
+        var value = { street: '2155 E GoDaddy Way', zip: 85284, location: { latitude: 33.3, longitude: -111.9 } };
+        assume(joiOfCql.validate(value, address).error).equals(null);
+        assume(joiOfCql.validate({ zip: 'abc' }, address).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ location: { altitude: 1 } }, address).error).is.instanceOf(Error);
+        assume(joiOfCql.validate({ country: 'US' }, address).error).is.instanceOf(Error);
+      });
+
+      it('should record the name and fields in the meta', function () {
+        var cql = address.toCql();
+        assume(cql.type).equals('udt');
+        assume(cql.name).equals('address');
+        assume(cql.fields).deep.equals({
+          street: 'text',
+          zip: 'int',
+          location: { type: 'udt', name: 'coordinates', fields: { latitude: 'double', longitude: 'double' }, frozen: true },
+          phones: { type: 'set', setType: 'text', frozen: true },
+          notes: 'text'
+        });
+      });
+
+      it('should serialize and deserialize the fields that have handlers', function () {
+        var cql = address.toCql();
+        assume(cql.serialize({ zip: 85284, notes: { gate: 4 } })).deep.equals({ zip: 85284, notes: '{"gate":4}' });
+        assume(cql.deserialize({ zip: 85284, notes: '{"gate":4}' })).deep.equals({ zip: 85284, notes: { gate: 4 } });
+        assume(cql.serialize(null)).equals(null);
+      });
+
+      it('should generate the CREATE TYPE statement', function () {
+        assume(address.toCreateType({ keyspace: 'garage' })).equals([
+          'CREATE TYPE IF NOT EXISTS garage.address (',
+          '  street text,',
+          '  zip int,',
+          '  location frozen<coordinates>,',
+          '  phones frozen<set<text>>,',
+          '  notes text',
+          ')'
+        ].join('\n'));
+      });
+
+      it('should throw when generating a CREATE TYPE statement for other types', function () {
+        assume(function () {
+          joiOfCql.object({ id: joiOfCql.cql.uuid() }).toCreateType();
+        }).throws(/user-defined type/);
+      });
+
+      it('should be usable as a column and inside of collections', function () {
+        var schema = joiOfCql.object({
+          id: joiOfCql.cql.uuid(),
+          home: address,
+          previous: joiOfCql.cql.list(address),
+          others: joiOfCql.cql.set(address),
+          named: joiOfCql.cql.map(joiOfCql.cql.text(), address)
+        }).partitionKey('id');
+        var result = joiOfCql.validate({
+          home: { zip: 85284 },
+          previous: { append: [{ zip: 85281 }] },
+          named: { work: { street: '14455 N Hayden Rd' } }
+        }, schema);
+        assume(result.error).equals(null);
+        assume(joiOfCql.validate({ previous: [{ zip: 'abc' }] }, schema).error).is.instanceOf(Error);
+        assume(schema.toCreateTable('people')).contains([
+          '  home address,',
+          '  previous list<frozen<address>>,',
+          '  others set<frozen<address>>,',
+          '  named map<text, frozen<address>>,'
+        ].join('\n'));
+      });
+    });
+
     describe('.set', function () {
       it('should serialize to an empty array when null', function () {
         var cql = joiOfCql.cql.set(joiOfCql.cql.text()).toCql();
@@ -333,11 +762,355 @@ describe('joi-of-cql', function () {
     });
   });
 
+  describe('counter updates', function () {
+    var counter = joiOfCql.cql.counter();
+
+    it('should be marked as a counter in the meta', function () {
+      assume(counter.toCql()).deep.equals({ cql: true, type: 'counter', counter: true });
+    });
+
+    it('should allow increments and decrements', function () {
+      assume(joiOfCql.validate({ increment: 1 }, counter).error).equals(null);
+      assume(joiOfCql.validate({ decrement: '9223372036854775807' }, counter).error).equals(null);
+    });
+
+    it('should not allow both an increment and a decrement', function () {
+      assume(joiOfCql.validate({ increment: 1, decrement: 1 }, counter).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({}, counter).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ increment: 1, set: 2 }, counter).error).is.instanceOf(Error);
+    });
+
+    it('should only allow increments and decrements in an update', function () {
+      var options = { context: { operation: 'update' } };
+      assume(joiOfCql.validate(1, counter, options).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ increment: 1 }, counter, options).error).equals(null);
+      assume(joiOfCql.validate(1, counter, { context: { operation: 'create' } }).error).equals(null);
+    });
+
+    it('should format the amounts of updates', function () {
+      assume(joiOfCql.validate({ increment: BigInt(1) }, joiOfCql.cql.counter({ format: 'string' })).value)
+        .deep.equals({ increment: '1' });
+    });
+  });
+
   describe('.create', function () {
     it('should create a validator for a CQL definition', function () {
       assume(joiOfCql.validate('00000000-0000-0000-0000-000000000000', joiOfCql.cql.create('uuid')).value)
         .equals('00000000-0000-0000-0000-000000000000');
     });
+
+    it('should create a user-defined type from its meta', function () {
+      var meta = joiOfCql.cql.udt('address', {
+        street: joiOfCql.cql.text(),
+        location: joiOfCql.cql.udt('coordinates', { latitude: joiOfCql.cql.double() })
+      }).toCql();
+      var udt = joiOfCql.cql.create('udt', meta);
+      assume(udt.toCql().fields).deep.equals(meta.fields);
+      assume(joiOfCql.validate({ location: { latitude: 33.3 } }, udt).error).equals(null);
+      assume(joiOfCql.validate({ location: { latitude: 'north' } }, udt).error).is.instanceOf(Error);
+
+      var set = joiOfCql.cql.create('set', { setType: { type: 'udt', name: 'address', fields: meta.fields } });
+      assume(set.toCql().setType).deep.equals({ type: 'udt', name: 'address', fields: meta.fields, frozen: true });
+      assume(joiOfCql.validate([{ street: 'Main' }], set).error).equals(null);
+    });
+
+    it('should throw an error for unknown types', function () {
+      assume(function () {
+        joiOfCql.cql.create('sett', { setType: 'text' });
+      }).throws('Unknown CQL type sett');
+      assume(function () {
+        joiOfCql.cql.create('writeOptions');
+      }).throws('Unknown CQL type writeOptions');
+    });
+
+    it('should create static and immutable columns from their meta', function () {
+      var column = joiOfCql.cql.create('text', { static: true, immutable: true, nullable: true });
+      assume(column.toCql()).deep.equals({ cql: true, type: 'text', static: true, immutable: true });
+      assume(joiOfCql.validate(null, column).error).equals(null);
+      assume(joiOfCql.validate('a', column, { context: { operation: 'update' } }).error).is.instanceOf(Error);
+      assume(joiOfCql.validate('a', column, { context: { operation: 'create' } }).error).equals(null);
+      assume(joiOfCql.object({ id: joiOfCql.cql.uuid(), name: column }).partitionKey('id')
+        .validateFor('update', { id: uuid.v4(), name: 'a' }).error).is.instanceOf(Error);
+    });
+
+    it('should create collections of the date, time, smallint, tinyint and duration types', function () {
+      var schema = joiOfCql.object({
+        holidays: joiOfCql.cql.create('set', { setType: 'date' }),
+        alarms: joiOfCql.cql.create('list', { listType: 'time' }),
+        ratings: joiOfCql.cql.create('map', { mapType: ['text', 'tinyint'] }),
+        levels: joiOfCql.cql.create('list', { listType: 'smallint' }),
+        timeouts: joiOfCql.cql.create('map', { mapType: ['text', 'duration'] })
+      });
+      var result = joiOfCql.validate({
+        holidays: ['2024-12-25', '2025-01-01'],
+        alarms: ['07:30:00', '13:45:00.123456789'],
+        ratings: { fast: 127 },
+        levels: [-32768, 32767],
+        timeouts: { read: '1h30m', write: 'PT30S' }
+      }, schema);
+      assume(result.error).equals(null);
+      assume(joiOfCql.validate({ ratings: { fast: 128 } }, schema).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ holidays: ['2024-12-32'] }, schema).error).is.instanceOf(Error);
+    });
+  });
+
+  describe('.writeOptions', function () {
+    var writeOptions = joiOfCql.cql.writeOptions();
+
+    it('should allow TTLs in the range of Cassandra', function () {
+      assume(joiOfCql.validate({ ttl: 0 }, writeOptions).error).equals(null);
+      assume(joiOfCql.validate({ ttl: 630720000 }, writeOptions).error).equals(null);
+      assume(joiOfCql.validate({ ttl: 630720001 }, writeOptions).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ ttl: -1 }, writeOptions).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ ttl: 1.5 }, writeOptions).error).is.instanceOf(Error);
+    });
+
+    it('should allow timestamps in microseconds', function () {
+      assume(joiOfCql.validate({ timestamp: 1727000000000000 }, writeOptions).error).equals(null);
+      assume(joiOfCql.validate({ timestamp: '9223372036854775807' }, writeOptions).error).equals(null);
+      assume(joiOfCql.validate({ timestamp: BigInt('1727000000000000') }, writeOptions).error).equals(null);
+      assume(joiOfCql.validate({ timestamp: '9223372036854775808' }, writeOptions).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ timestamp: new Date() }, writeOptions).error).is.instanceOf(Error);
+    });
+
+    it('should not allow other options', function () {
+      assume(joiOfCql.validate({ consistency: 'one' }, writeOptions).error).is.instanceOf(Error);
+    });
+  });
+
+  describe('.fromDefinition', function () {
+    var cql = joiOfCql.cql;
+    var definition = {
+      columns: {
+        artist_id: { type: 'uuid', required: true },
+        album_id: { type: 'timeuuid', default: 'create' },
+        name: { type: 'text', required: true, immutable: true },
+        plays: { type: 'bigint', format: 'number', nullable: true },
+        bio: { type: 'text', static: true, ttl: 86400 },
+        tags: { type: 'set', setType: 'text', nullable: true },
+        credits: { type: 'list', listType: { type: 'udt', name: 'credit', fields: { role: 'text' }, frozen: true } },
+        ratings: { type: 'map', mapType: ['text', 'int'], frozen: true },
+        extra: { type: 'json' }
+      },
+      partitionKey: ['artist_id'],
+      clusteringKey: [{ album_id: 'desc' }],
+      lookupKeys: ['name'],
+      defaultTtl: 3600,
+      indexes: [{ column: 'tags', target: 'values' }],
+      materializedViews: [{ name: 'albums_by_name', partitionKey: ['name'], clusteringKey: ['artist_id', 'album_id'] }],
+      aliases: { title: 'name' }
+    };
+
+    it('should build the schema of a table from its definition', function () {
+      var schema = cql.fromDefinition(definition);
+      assume(schema.partitionKey()).deep.equals(['artist_id']);
+      assume(schema.clusteringOrder()).deep.equals({ album_id: 'desc' });
+      assume(schema.toCql().tags.setType).equals('text');
+      assume(schema.toCql().bio).deep.equals({ cql: true, type: 'text', static: true, ttl: 86400 });
+      assume(schema.toCql().credits.listType.name).equals('credit');
+      assume(schema.index()).deep.equals([{ column: 'tags', target: 'values' }]);
+      assume(schema.aliases()).deep.equals({ title: 'name' });
+      assume(joiOfCql.validate({ title: 'Nevermind', artist_id: uuid.v4(), plays: null }, schema).error).equals(null);
+      assume(joiOfCql.validate({ artist_id: uuid.v4() }, schema).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ title: 'Nevermind', artist_id: uuid.v4(), plays: '1' }, schema).value.plays).equals(1);
+    });
+
+    it('should accept the names of the types of columns', function () {
+      var schema = cql.fromDefinition({ columns: { id: 'uuid', name: 'text' }, partitionKey: 'id' });
+      assume(schema.toCreateTable('artists')).equals(cql.fromDefinition({
+        columns: { id: { type: 'uuid' }, name: { type: 'text' } },
+        partitionKey: 'id'
+      }).toCreateTable('artists'));
+    });
+
+    it('should round trip the definition of a schema', function () {
+      var schema = cql.fromDefinition(definition);
+      assume(schema.toDefinition()).deep.equals(definition);
+      assume(cql.fromDefinition(schema.toDefinition()).toCreateTable('albums')).equals(schema.toCreateTable('albums'));
+      assume(cql.fromDefinition(schema.toDefinition()).toCreateMaterializedViews('albums'))
+        .deep.equals(schema.toCreateMaterializedViews('albums'));
+    });
+
+    it('should describe a schema that is built with the CQL types', function () {
+      var schema = joiOfCql.object({
+        id: cql.uuid(),
+        created: cql.timestamp({ default: 'create' }),
+        events: cql.frozen(cql.set(cql.tuple(cql.text(), cql.int())))
+      }).partitionKey('id').clusteringKey('created');
+
+      assume(schema.toDefinition()).deep.equals({
+        columns: {
+          id: { type: 'uuid' },
+          created: { type: 'timestamp', default: 'create' },
+          events: { type: 'set', setType: { type: 'tuple', tupleType: ['text', 'int'] }, frozen: true }
+        },
+        partitionKey: ['id'],
+        clusteringKey: ['created']
+      });
+      assume(schema.toDefinition().columns.events.setType).does.not.equal(schema.toCql().events.setType);
+    });
+
+    it('should not describe columns that are not CQL types', function () {
+      assume(function () {
+        joiOfCql.object({ id: joiOfCql.string() }).toDefinition();
+      }).throws('Column id is not a CQL type');
+    });
+
+    it('should report the columns with unknown or incomplete types', function () {
+      assume(function () {
+        cql.fromDefinition({ columns: { id: { type: 'uuuid' } } });
+      }).throws('Column id of the table definition is not valid: Unknown CQL type uuuid');
+      assume(function () {
+        cql.fromDefinition({ columns: { tags: { type: 'set', setType: 'txt' } } });
+      }).throws('Column tags of the table definition is not valid: Unknown CQL type txt');
+      assume(function () {
+        cql.fromDefinition({ columns: { tags: { type: 'list' } } });
+      }).throws('Column tags of the table definition is not valid: The CQL type list requires listType');
+      assume(function () {
+        cql.fromDefinition({ columns: { ratings: { type: 'map', mapType: ['text'] } } });
+      }).throws(/map requires the types of its keys and values/);
+      assume(function () {
+        cql.fromDefinition({ columns: { location: { type: 'tuple', tupleType: 'int' } } });
+      }).throws('Column location of the table definition is not valid: The CQL type tuple requires the types of its ' +
+        'values as its tupleType');
+      assume(function () {
+        cql.fromDefinition({ columns: { address: { type: 'udt', name: 'a', fields: 'x' } } });
+      }).throws('Column address of the table definition is not valid: The CQL type udt requires an object of the ' +
+        'types of its fields');
+      assume(function () {
+        cql.fromDefinition({ columns: { id: null } });
+      }).throws('Column id of the table definition is not valid: Unknown CQL type null');
+      assume(function () {
+        cql.fromDefinition({ partitionKey: 'id' });
+      }).throws('A table definition requires its columns');
+    });
+
+    it('should report the keys that are not columns or cannot be keys', function () {
+      assume(function () {
+        cql.fromDefinition({ columns: { a: 'uuid' }, partitionKey: 'b' });
+      }).throws('The keys of the table definition are not valid: b of the partitionKey is not a column');
+      assume(function () {
+        cql.fromDefinition({ columns: { a: 'uuid' }, partitionKey: 'a', clusteringKey: ['c'], lookupKeys: ['d'] });
+      }).throws('The keys of the table definition are not valid: c of the clusteringKey is not a column, ' +
+        'd of the lookupKeys is not a column');
+      assume(function () {
+        cql.fromDefinition({ columns: { a: { type: 'set', setType: 'text' } }, partitionKey: 'a' });
+      }).throws('The keys of the table definition are not valid: a cannot be part of the primary key because it is a set');
+      assume(cql.fromDefinition({ columns: { a: 'uuid' } }).toDefinition()).deep.equals({ columns: { a: { type: 'uuid' } } });
+    });
+  });
+
+  describe('.fromTableMetadata', function () {
+    var rows = [
+      { column_name: 'artist_id', kind: 'partition_key', position: 1, type: 'uuid', clustering_order: 'none' },
+      { column_name: 'label', kind: 'partition_key', position: 0, type: 'text', clustering_order: 'none' },
+      { column_name: 'released', kind: 'clustering', position: 0, type: 'date', clustering_order: 'desc' },
+      { column_name: 'album_id', kind: 'clustering', position: 1, type: 'timeuuid', clustering_order: 'asc' },
+      { column_name: 'name', kind: 'regular', position: -1, type: 'text', clustering_order: 'none' },
+      { column_name: 'bio', kind: 'static', position: -1, type: 'text', clustering_order: 'none' },
+      { column_name: 'tags', kind: 'regular', position: -1, type: 'set<text>', clustering_order: 'none' },
+      {
+        column_name: 'ratings',
+        kind: 'regular',
+        position: -1,
+        type: 'frozen<map<text, list<int>>>',
+        clustering_order: 'none'
+      },
+      { column_name: 'tracks', kind: 'regular', position: -1, type: 'map<int, frozen<track>>', clustering_order: 'none' },
+      { column_name: 'studio', kind: 'regular', position: -1, type: 'tuple<text, "Location">', clustering_order: 'none' }
+    ];
+    var types = [
+      {
+        type_name: 'track',
+        field_names: ['title', 'length', 'credits'],
+        field_types: ['text', 'duration', 'list<frozen<credit>>']
+      },
+      { type_name: 'credit', field_names: ['role', 'name'], field_types: ['text', 'text'] },
+      { type_name: 'Location', field_names: ['city'], field_types: ['text'] }
+    ];
+
+    it('should build the partition and clustering keys in order', function () {
+      var schema = joiOfCql.cql.fromTableMetadata(rows, { types: types });
+      assume(schema.partitionKey()).deep.equals(['label', 'artist_id']);
+      assume(schema.clusteringKey()).deep.equals(['released', 'album_id']);
+      assume(schema.clusteringOrder()).deep.equals({ released: 'desc', album_id: 'asc' });
+    });
+
+    it('should build the columns from their CQL types', function () {
+      var cql = joiOfCql.cql.fromTableMetadata(rows, { types: types }).toCql();
+      assume(cql.label.type).equals('text');
+      assume(cql.released.type).equals('date');
+      assume(cql.tags.setType).equals('text');
+      assume(cql.bio).deep.equals({ cql: true, type: 'text', static: true });
+      assume(cql.ratings.frozen).equals(true);
+      assume(cql.ratings.mapType).deep.equals(['text', { type: 'list', listType: 'int', frozen: true }]);
+      assume(cql.tracks.mapType[1]).deep.equals({
+        type: 'udt',
+        name: 'track',
+        fields: {
+          title: 'text',
+          length: 'duration',
+          credits: {
+            type: 'list',
+            listType: { type: 'udt', name: 'credit', fields: { role: 'text', name: 'text' }, frozen: true },
+            frozen: true
+          }
+        },
+        frozen: true
+      });
+      assume(cql.studio.tupleType)
+        .deep.equals(['text', { type: 'udt', name: 'Location', fields: { city: 'text' }, frozen: true }]);
+    });
+
+    it('should validate rows of the table', function () {
+      var schema = joiOfCql.cql.fromTableMetadata(rows, { types: types });
+      var result = joiOfCql.validate({
+        label: 'Sub Pop',
+        artist_id: uuid.v4(),
+        released: '1991-09-24',
+        album_id: uuid.v1(),
+        tags: { add: ['grunge'] },
+        ratings: { critics: [5, 4] },
+        tracks: { 1: { title: 'Smells Like Teen Spirit', length: '5m1s', credits: [{ role: 'vocals', name: 'Kurt' }] } },
+        studio: ['Van Nuys', { city: 'Los Angeles' }]
+      }, schema);
+      assume(result.error).equals(null);
+      assume(joiOfCql.validate({ ratings: { critics: ['five'] } }, schema).error).is.instanceOf(Error);
+      assume(joiOfCql.validate({ tracks: { first: { title: 'Lithium' } } }, schema).error).is.instanceOf(Error);
+    });
+
+    it('should recreate the table that the rows describe', function () {
+      var statement = joiOfCql.cql.fromTableMetadata(rows, { types: types }).toCreateTable('albums');
+      assume(statement).equals([
+        'CREATE TABLE IF NOT EXISTS albums (',
+        '  artist_id uuid,',
+        '  label text,',
+        '  released date,',
+        '  album_id timeuuid,',
+        '  name text,',
+        '  bio text STATIC,',
+        '  tags set<text>,',
+        '  ratings frozen<map<text, frozen<list<int>>>>,',
+        '  tracks map<int, frozen<track>>,',
+        '  studio tuple<text, frozen<"Location">>,',
+        '  PRIMARY KEY ((label, artist_id), released, album_id)',
+        ') WITH CLUSTERING ORDER BY (released DESC, album_id ASC)'
+      ].join('\n'));
+    });
+
+    it('should throw for unknown types', function () {
+      assume(function () {
+        joiOfCql.cql.fromTableMetadata([{ column_name: 'id', kind: 'partition_key', position: 0, type: 'frozen<address>' }]);
+      }).throws(/Unknown CQL type address/);
+    });
+
+    it('should throw for invalid types', function () {
+      ['map<text>', 'list<int', 'set<int>>', 'frozen<int>', 'int<text>', ''].forEach(function (type) {
+        assume(function () {
+          joiOfCql.cql.fromTableMetadata([{ column_name: 'id', kind: 'partition_key', position: 0, type: type }]);
+        }).throws(/CQL type/);
+      });
+    });
   });
 
   describe('joi modifications', function () {
@@ -350,6 +1123,188 @@ describe('joi-of-cql', function () {
         assume(joiOfCql.string().toCql()).equals(undef);
       });
     });
+
+    describe('.toJsonSchema', function () {
+      var cql = joiOfCql.cql;
+      var text = { 'type': 'string', 'x-cql-type': 'text' };
+
+      it('should convert the columns of a table with their CQL types', function () {
+        var schema = joiOfCql.object({
+          id: cql.uuid().required(),
+          created: cql.timeuuid(),
+          name: cql.text().required().immutable(),
+          plays: cql.bigint(),
+          address: cql.inet(),
+          extra: joiOfCql.string()
+        }).partitionKey('id');
+
+        assume(schema.toJsonSchema()).deep.equals({
+          type: 'object',
+          properties: {
+            id: { 'type': 'string', 'format': 'uuid', 'x-cql-type': 'uuid' },
+            created: { 'type': 'string', 'format': 'uuid', 'x-cql-type': 'timeuuid' },
+            name: text,
+            plays: {
+              'oneOf': [{ type: 'string', pattern: '^-?\\d{1,19}$' }, { type: 'integer' }],
+              'x-cql-type': 'bigint'
+            },
+            address: {
+              'oneOf': cql.inet().toJsonSchema().oneOf,
+              'x-cql-type': 'inet'
+            },
+            extra: {}
+          },
+          required: ['id', 'name']
+        });
+      });
+
+      it('should convert conditional columns and the columns of other joi instances', function () {
+        var schema = joiOfCql.object({
+          id: cql.uuid(),
+          name: cql.text().when('$operation', { is: 'update', then: joiOfCql.forbidden() }),
+          extra: base.string()
+        }).partitionKey('id');
+
+        assume(schema.toJsonSchema().properties.name).deep.equals(text);
+        assume(schema.toJsonSchema().properties.extra).deep.equals({});
+      });
+
+      it('should describe the updates of sets and lists as one of their values', function () {
+        var tags = { type: 'array', items: text, uniqueItems: true };
+        var tracks = { type: 'array', items: text };
+
+        assume(cql.set(cql.text()).toJsonSchema()).deep.equals({
+          'oneOf': [tags, {
+            type: 'object',
+            properties: { add: tags, remove: tags },
+            minProperties: 1,
+            additionalProperties: false
+          }],
+          'x-cql-type': 'set<text>'
+        });
+        assume(cql.list(cql.text()).toJsonSchema()).deep.equals({
+          'oneOf': [tracks, {
+            type: 'object',
+            properties: {
+              prepend: tracks,
+              append: tracks,
+              remove: tracks,
+              index: { type: 'object', propertyNames: { pattern: '^\\d+$' }, additionalProperties: text }
+            },
+            minProperties: 1,
+            additionalProperties: false
+          }],
+          'x-cql-type': 'list<text>'
+        });
+        assume(cql.frozen(cql.set(cql.text())).toJsonSchema())
+          .deep.equals(Object.assign({ 'x-cql-type': 'frozen<set<text>>' }, tags));
+      });
+
+      it('should convert nested types', function () {
+        assume(cql.map('text', cql.tuple(cql.int(), cql.udt('address', { street: cql.text() }))).toJsonSchema())
+          .deep.equals({
+            'type': 'object',
+            'additionalProperties': {
+              'type': 'array',
+              'prefixItems': [
+                { 'type': 'integer', 'minimum': -2147483648, 'maximum': 2147483647, 'x-cql-type': 'int' },
+                {
+                  'type': 'object',
+                  'properties': { street: text },
+                  'additionalProperties': false,
+                  'x-cql-type': 'frozen<address>'
+                }
+              ],
+              'items': false,
+              'minItems': 2,
+              'x-cql-type': 'tuple<int, frozen<address>>'
+            },
+            'propertyNames': text,
+            'x-cql-type': 'map<text, tuple<int, frozen<address>>>'
+          });
+      });
+
+      it('should match the addresses of inet columns with their CIDR prefix', function () {
+        var patterns = cql.inet().toJsonSchema().oneOf.map(function (schema) {
+          return new RegExp(schema.pattern);
+        });
+        var matches = function (address) {
+          return patterns.some(function (pattern) {
+            return pattern.test(address);
+          });
+        };
+
+        ['10.0.0.1', '10.0.0.0/8', '::1', '2001:db8::/32', '::ffff:10.0.0.1/128'].forEach(function (address) {
+          assume(joiOfCql.validate(address, cql.inet()).error).equals(null);
+          assume(matches(address)).equals(true);
+        });
+        ['10.0.0.256', '10.0.0.0/33', '2001:db8::/129', '1::2::3', 'localhost'].forEach(function (address) {
+          assume(joiOfCql.validate(address, cql.inet()).error).is.instanceOf(Error);
+          assume(matches(address)).equals(false);
+        });
+      });
+
+      it('should convert the key types of maps to the names of their properties', function () {
+        assume(cql.map(cql.int(), cql.text()).toJsonSchema().propertyNames).deep.equals({ pattern: '^-?\\d+$' });
+        assume(cql.map(cql.boolean(), cql.text()).toJsonSchema().propertyNames).deep.equals({ enum: ['true', 'false'] });
+        assume(cql.map(cql.timestamp(), cql.text()).toJsonSchema().propertyNames).deep.equals({
+          anyOf: [{ pattern: '^-?\\d+$' }, { type: 'string', format: 'date-time' }]
+        });
+        assume(cql.map(cql.uuid(), cql.text()).toJsonSchema().propertyNames)
+          .deep.equals({ 'type': 'string', 'format': 'uuid', 'x-cql-type': 'uuid' });
+        assume(cql.map(cql.frozen(cql.set(cql.int())), cql.text()).toJsonSchema().propertyNames).equals(undef);
+      });
+
+      it('should allow null when the column does', function () {
+        assume(cql.int().allow(null).toJsonSchema().type).deep.equals(['integer', 'null']);
+        assume(cql.bigint().allow(null).toJsonSchema().oneOf).deep.equals([
+          { type: 'string', pattern: '^-?\\d{1,19}$' },
+          { type: 'integer' },
+          { type: 'null' }
+        ]);
+      });
+
+      it('should allow any value of json columns', function () {
+        assume(cql.json().toJsonSchema()).deep.equals({ 'x-cql-type': 'text' });
+      });
+
+      it('should not share the schemas of the types', function () {
+        cql.text().toJsonSchema().type = 'number';
+        assume(cql.text().toJsonSchema()).deep.equals(text);
+      });
+    });
+  });
+
+  describe('instances', function () {
+    it('should leave @hapi/joi untouched', function () {
+      assume(typeof Joi.object().partitionKey).equals('undefined');
+      assume(typeof Joi.any().toCql).equals('undefined');
+      assume(Joi.cql).equals(undef);
+    });
+
+    it('should create instances with their own types', function () {
+      var instance = joiOfCql.create();
+      var schema = instance.object({ id: instance.cql.uuid() }).partitionKey('id');
+      assume(instance).does.not.equal(joiOfCql);
+      assume(instance.object().constructor).does.not.equal(joiOfCql.object().constructor);
+      assume(schema.partitionKey()).equals('id');
+      assume(schema.toCql()).deep.equals({ id: joiOfCql.cql.uuid().toCql() });
+      assume(typeof instance.alt().toCql).equals('function');
+    });
+
+    it('should keep the operations of conditional columns', function () {
+      var column = joiOfCql.cql.text().when('$operation', { is: 'update', then: joiOfCql.forbidden() });
+      assume(column.toCql()).deep.equals({ cql: true, type: 'text' });
+      assume(column.static().toCql()).deep.equals({ cql: true, type: 'text', static: true });
+      assume(column.ttl(60).ttl()).equals(60);
+      assume(joiOfCql.validate('a', column, { context: { operation: 'update' } }).error).is.instanceOf(Error);
+      assume(joiOfCql.validate('a', column).error).equals(null);
+    });
+
+    it('should keep converting json columns when they are modified', function () {
+      assume(joiOfCql.validate([1], joiOfCql.cql.json().required()).value).equals('[1]');
+      assume(joiOfCql.validate({ a: 1 }, joiOfCql.cql.json({ a: joiOfCql.number() }).required()).value).equals('{"a":1}');
+    });
   });
 
   describe('modifications to object', function () {
@@ -412,6 +1367,36 @@ describe('joi-of-cql', function () {
       });
     });
 
+    describe('.defaultTtl', function () {
+      it('should return the value when no arguments are passed', function () {
+        assume(joiOfCql.object().defaultTtl(86400).defaultTtl()).equals(86400);
+      });
+
+      it('should return undefined when there is no defaultTtl', function () {
+        assume(joiOfCql.object().defaultTtl()).equals(undefined);
+        assume(joiOfCql.object().defaultTtl(86400).defaultTtl(null).defaultTtl()).equals(null);
+      });
+
+      it('should only allow the TTLs that Cassandra allows', function () {
+        assume(joiOfCql.object().defaultTtl(630720000).defaultTtl()).equals(630720000);
+        [630720001, -1, 1.5, '60'].forEach(function (seconds) {
+          assume(function () {
+            joiOfCql.object().defaultTtl(seconds);
+          }).throws('A TTL must be an integer number of seconds between 0 and 630720000, not ' + seconds);
+        });
+      });
+
+      it('should be set on columns with ttl', function () {
+        var column = joiOfCql.cql.text().ttl(3600);
+        assume(column.ttl()).equals(3600);
+        assume(column.toCql()).deep.equals({ cql: true, type: 'text', ttl: 3600 });
+        assume(joiOfCql.cql.text().ttl()).equals(undefined);
+        assume(function () {
+          joiOfCql.cql.text().ttl(-1);
+        }).throws('A TTL must be an integer number of seconds between 0 and 630720000, not -1');
+      });
+    });
+
     describe('.clusteringKey', function () {
       it('should create a joi validation object when passed arguments', function () {
         assume(joiOfCql.object().clusteringKey('widget_id')).is.instanceOf(joiOfCql.constructor);
@@ -432,23 +1417,1148 @@ describe('joi-of-cql', function () {
       it('should return an array when no arguments are passed', function () {
         assume(joiOfCql.object().clusteringKey(['orion_id', 'page_id']).clusteringKey()).deep.equals(['orion_id', 'page_id']);
       });
+
+      it('should accept the order of the clustering keys', function () {
+        var schema = joiOfCql.object().clusteringKey([{ created_at: 'desc' }, 'id', { version: 'ASC' }]);
+        assume(schema.clusteringKey()).deep.equals(['created_at', 'id', 'version']);
+        assume(schema.clusteringOrder()).deep.equals({ created_at: 'desc', id: 'asc', version: 'asc' });
+        assume(joiOfCql.object().clusteringKey({ created_at: 'desc' }).clusteringKey()).deep.equals(['created_at']);
+      });
+
+      it('should only accept asc and desc orders', function () {
+        assume(function () {
+          joiOfCql.object().clusteringKey([{ created_at: 'down' }]);
+        }).throws('The clustering order of created_at must be asc or desc, not down');
+      });
+
+      it('should order every clustering key ascending by default', function () {
+        assume(joiOfCql.object().clusteringKey(['created_at', 'id']).clusteringOrder())
+          .deep.equals({ created_at: 'asc', id: 'asc' });
+        assume(joiOfCql.object().clusteringKey({ id: 'desc' }).clusteringKey('id').clusteringOrder()).deep.equals({ id: 'asc' });
+        assume(joiOfCql.object().clusteringOrder()).deep.equals({});
+      });
     });
 
-    describe('.aliases', function () {
-      it('should create a joi validation object when passed arguments', function () {
-        assume(joiOfCql.object().aliases('id', 'website_id')).is.instanceOf(joiOfCql.constructor);
+    describe('.index', function () {
+      var schema = joiOfCql.object({
+        user_id: joiOfCql.cql.uuid(),
+        email: joiOfCql.cql.text(),
+        tags: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.text()),
+        scores: joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()))
+      }).partitionKey('user_id');
+
+      it('should add an index with every call', function () {
+        var indexed = schema.index('email', { name: 'users_by_email' }).index('tags', { target: 'KEYS' });
+        assume(indexed).is.instanceOf(joiOfCql.constructor);
+        assume(indexed.index()).deep.equals([{ column: 'email', name: 'users_by_email' }, { column: 'tags', target: 'keys' }]);
+        assume(schema.index()).deep.equals([]);
       });
 
-      it('should return the value when no arguments are passed', function () {
-        assume(joiOfCql.object().aliases('id', 'website_id').aliases()).deep.equals({ id: 'website_id' });
+      it('should require a column and a known target', function () {
+        assume(function () {
+          schema.index({ name: 'users_by_email' });
+        }).throws('An index requires the name of its column, not [object Object]');
+        assume(function () {
+          schema.index('tags', { target: 'all' });
+        }).throws('The index target of tags must be one of keys, values, entries, full, not all');
       });
 
-      it('should return an empty array when no arguments are provided and there is no aliases found', function () {
-        assume(joiOfCql.object().aliases()).deep.equals({});
+      it('should generate the CREATE INDEX statements', function () {
+        assume(schema.index('email', { name: 'users_by_email' }).index('tags', { target: 'entries' }).index('scores')
+          .toCreateIndexes('users', { keyspace: 'app' })).deep.equals([
+          'CREATE INDEX IF NOT EXISTS users_by_email ON app.users (email)',
+          'CREATE INDEX IF NOT EXISTS ON app.users (ENTRIES(tags))',
+          'CREATE INDEX IF NOT EXISTS ON app.users (FULL(scores))'
+        ]);
       });
 
-      it('should not be on a non-object schema', function () {
-        assume(typeof joiOfCql.array().aliases).equals('undefined');
+      it('should generate SASI and other custom indexes', function () {
+        assume(schema.index('email', { using: 'sasi', options: { mode: 'CONTAINS' } })
+          .index('tags', { name: 'tags_idx', using: 'com.example.TagIndex' }).toCreateIndexes('users')).deep.equals([
+          'CREATE CUSTOM INDEX IF NOT EXISTS ON users (email) USING \'org.apache.cassandra.index.sasi.SASIIndex\' ' +
+            'WITH OPTIONS = {\'mode\': \'CONTAINS\'}',
+          'CREATE CUSTOM INDEX IF NOT EXISTS tags_idx ON users (tags) USING \'com.example.TagIndex\''
+        ]);
+      });
+
+      it('should not generate indexes that Cassandra does not allow', function () {
+        assume(function () {
+          schema.index('user_id').toCreateIndexes('users');
+        }).throws('Index of table users cannot be created: user_id cannot be indexed because it is the whole partitionKey');
+      });
+    });
+
+    describe('.materializedView', function () {
+      var schema = joiOfCql.object({
+        user_id: joiOfCql.cql.uuid(),
+        created_at: joiOfCql.cql.timestamp(),
+        email: joiOfCql.cql.text(),
+        name: joiOfCql.cql.text()
+      }).partitionKey('user_id').clusteringKey('created_at');
+
+      it('should add a view with every call, replacing a view with the same name', function () {
+        var viewed = schema.materializedView('users_by_email', { partitionKey: 'name', clusteringKey: ['user_id'] })
+          .materializedView('users_by_email', { partitionKey: 'email', clusteringKey: [{ created_at: 'desc' }, 'user_id'] });
+        assume(viewed).is.instanceOf(joiOfCql.constructor);
+        assume(viewed.materializedView()).deep.equals([{
+          name: 'users_by_email',
+          partitionKey: ['email'],
+          clusteringKey: ['created_at', 'user_id'],
+          clusteringOrder: { created_at: 'desc', user_id: 'asc' },
+          columns: []
+        }]);
+        assume(schema.materializedView()).deep.equals([]);
+        assume(function () {
+          schema.materializedView({ partitionKey: 'email' });
+        }).throws('A materialized view requires a name, not [object Object]');
+      });
+
+      it('should generate the CREATE MATERIALIZED VIEW statements', function () {
+        assume(schema.materializedView('users_by_email', {
+          partitionKey: 'email',
+          clusteringKey: [{ created_at: 'desc' }, 'user_id'],
+          columns: ['name']
+        }).materializedView('users_by_id', { partitionKey: ['user_id', 'created_at'] })
+          .toCreateMaterializedViews('users', { keyspace: 'app' })).deep.equals([
+          'CREATE MATERIALIZED VIEW IF NOT EXISTS app.users_by_email AS\n' +
+          '  SELECT email, created_at, user_id, name FROM app.users\n' +
+          '  WHERE email IS NOT NULL AND created_at IS NOT NULL AND user_id IS NOT NULL\n' +
+          '  PRIMARY KEY (email, created_at, user_id)\n' +
+          '  WITH CLUSTERING ORDER BY (created_at DESC, user_id ASC)',
+          'CREATE MATERIALIZED VIEW IF NOT EXISTS app.users_by_id AS\n' +
+          '  SELECT * FROM app.users\n' +
+          '  WHERE user_id IS NOT NULL AND created_at IS NOT NULL\n' +
+          '  PRIMARY KEY ((user_id, created_at))'
+        ]);
+      });
+
+      it('should not generate views that Cassandra does not allow', function () {
+        assume(function () {
+          schema.materializedView('users_by_email', { partitionKey: ['email', 'name'], clusteringKey: 'user_id' })
+            .toCreateMaterializedViews('users');
+        }).throws('Materialized view users_by_email cannot be created: created_at of the primary key must be part of ' +
+          'the primary key of the materialized view users_by_email, the materialized view users_by_email can only add ' +
+          'one column to the primary key, not email, name');
+      });
+    });
+
+    describe('.aliases', function () {
+      it('should create a joi validation object when passed arguments', function () {
+        assume(joiOfCql.object().aliases('id', 'website_id')).is.instanceOf(joiOfCql.constructor);
+      });
+
+      it('should return the value when no arguments are passed', function () {
+        assume(joiOfCql.object().aliases('id', 'website_id').aliases()).deep.equals({ id: 'website_id' });
+      });
+
+      it('should return an empty array when no arguments are provided and there is no aliases found', function () {
+        assume(joiOfCql.object().aliases()).deep.equals({});
+      });
+
+      it('should not be on a non-object schema', function () {
+        assume(typeof joiOfCql.array().aliases).equals('undefined');
+      });
+    });
+
+    describe('.serialize', function () {
+      var schema = joiOfCql.object({
+        id: joiOfCql.cql.uuid(),
+        name: joiOfCql.cql.text(),
+        settings: joiOfCql.cql.json(),
+        history: joiOfCql.cql.list(joiOfCql.cql.json()),
+        attachments: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.list(joiOfCql.cql.json())),
+        tags: joiOfCql.cql.set(joiOfCql.cql.text()),
+        home: joiOfCql.cql.udt('address', { street: joiOfCql.cql.text(), extra: joiOfCql.cql.json() })
+      }).partitionKey('id')
+        .rename('widget_id', 'id')
+        .rename('preferences', 'settings');
+      var entity = {
+        widget_id: '00000000-0000-0000-0000-000000000000',
+        name: null,
+        preferences: { theme: 'dark' },
+        history: [{ action: 'created' }],
+        attachments: { images: [{ src: 'a.png' }] },
+        tags: ['new'],
+        home: { street: 'Main', extra: { gate: 4 } }
+      };
+      var row = {
+        id: '00000000-0000-0000-0000-000000000000',
+        name: null,
+        settings: '{"theme":"dark"}',
+        history: ['{"action":"created"}'],
+        attachments: { images: ['{"src":"a.png"}'] },
+        tags: ['new'],
+        home: { street: 'Main', extra: '{"gate":4}' }
+      };
+
+      it('should serialize every column and rename aliased properties', function () {
+        assume(schema.serialize(entity)).deep.equals(row);
+      });
+
+      it('should deserialize every column', function () {
+        assume(schema.deserialize(row)).deep.equals({
+          id: '00000000-0000-0000-0000-000000000000',
+          name: null,
+          settings: { theme: 'dark' },
+          history: [{ action: 'created' }],
+          attachments: { images: [{ src: 'a.png' }] },
+          tags: ['new'],
+          home: { street: 'Main', extra: { gate: 4 } }
+        });
+      });
+
+      it('should round trip', function () {
+        assume(schema.serialize(schema.deserialize(row))).deep.equals(row);
+      });
+
+      it('should leave null values as they are', function () {
+        var nulls = { id: null, settings: null, history: null, attachments: null, home: null };
+        assume(schema.serialize(nulls)).deep.equals(nulls);
+        assume(schema.deserialize(nulls)).deep.equals(nulls);
+      });
+
+      it('should serialize collection updates', function () {
+        assume(schema.serialize({ history: { append: [{ action: 'updated' }], index: { 0: { action: 'created' } } } }))
+          .deep.equals({ history: { append: ['{"action":"updated"}'], index: { 0: '{"action":"created"}' } } });
+      });
+
+      it('should leave properties that are not columns as they are', function () {
+        assume(schema.serialize({ other: { a: 1 } })).deep.equals({ other: { a: 1 } });
+        assume(schema.deserialize({ other: '{"a":1}' })).deep.equals({ other: '{"a":1}' });
+      });
+    });
+
+    describe('.toDriverValues', function () {
+      var driverTypes = ['Long', 'BigDecimal', 'Integer', 'Uuid', 'TimeUuid', 'InetAddress'].reduce(function (memo, name) {
+        memo[name] = driverType(name);
+        return memo;
+      }, {
+        Tuple: {
+          fromArray: function (values) {
+            return {
+              elements: values,
+              values: function () {
+                return values.slice();
+              }
+            };
+          }
+        }
+      });
+      var schema = joiOfCql.object({
+        id: joiOfCql.cql.uuid(),
+        event_id: joiOfCql.cql.timeuuid(),
+        views: joiOfCql.cql.bigint(),
+        price: joiOfCql.cql.decimal(),
+        population: joiOfCql.cql.varint(),
+        address: joiOfCql.cql.inet(),
+        thumbnail: joiOfCql.cql.blob(),
+        name: joiOfCql.cql.text(),
+        counts: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.bigint()),
+        visitors: joiOfCql.cql.set(joiOfCql.cql.inet()),
+        position: joiOfCql.cql.tuple(joiOfCql.cql.bigint(), joiOfCql.cql.text()),
+        owner: joiOfCql.cql.udt('owner', { id: joiOfCql.cql.uuid(), name: joiOfCql.cql.text() })
+      }).rename('widget_id', 'id');
+
+      it('should convert values to the types of the driver', function () {
+        var values = schema.toDriverValues({
+          widget_id: '00000000-0000-0000-0000-000000000000',
+          event_id: '00000000-0000-1000-8000-000000000000',
+          views: '9223372036854775807',
+          price: 1.5,
+          population: '123456789012345678901234567890',
+          address: '127.0.0.1',
+          thumbnail: '4a75',
+          name: 'widget'
+        }, driverTypes);
+        assume(values.id).is.instanceOf(driverTypes.Uuid);
+        assume(values.id.value).equals('00000000-0000-0000-0000-000000000000');
+        assume(values.event_id).is.instanceOf(driverTypes.TimeUuid);
+        assume(values.views).is.instanceOf(driverTypes.Long);
+        assume(values.views.value).equals('9223372036854775807');
+        assume(values.price).is.instanceOf(driverTypes.BigDecimal);
+        assume(values.price.value).equals('1.5');
+        assume(values.population).is.instanceOf(driverTypes.Integer);
+        assume(values.address).is.instanceOf(driverTypes.InetAddress);
+        assume(values.thumbnail).deep.equals(Buffer.from([0x4a, 0x75]));
+        assume(values.name).equals('widget');
+      });
+
+      it('should convert nested values to the types of the driver', function () {
+        var values = schema.toDriverValues({
+          counts: { a: 1 },
+          visitors: ['10.0.0.1'],
+          position: [1, 'one'],
+          owner: { id: '00000000-0000-0000-0000-000000000001', name: 'owner' }
+        }, driverTypes);
+        assume(values.counts.a).is.instanceOf(driverTypes.Long);
+        assume(values.visitors[0]).is.instanceOf(driverTypes.InetAddress);
+        assume(values.position.elements[0]).is.instanceOf(driverTypes.Long);
+        assume(values.position.elements[1]).equals('one');
+        assume(values.owner.id).is.instanceOf(driverTypes.Uuid);
+        assume(values.owner.name).equals('owner');
+      });
+
+      it('should convert BigInt values to the types of the driver', function () {
+        var values = schema.toDriverValues({ views: BigInt('9223372036854775807') }, driverTypes);
+        assume(values.views).is.instanceOf(driverTypes.Long);
+        assume(values.views.value).equals('9223372036854775807');
+      });
+
+      it('should convert counter updates', function () {
+        var values = joiOfCql.object({ views: joiOfCql.cql.counter() }).toDriverValues({ views: { increment: 1 } }, driverTypes);
+        assume(values.views.increment).is.instanceOf(driverTypes.Long);
+        assume(values.views.increment.value).equals('1');
+      });
+
+      it('should convert collection updates', function () {
+        var values = schema.toDriverValues({ visitors: { add: ['10.0.0.2'], remove: ['10.0.0.1'] } }, driverTypes);
+        assume(values.visitors.add[0]).is.instanceOf(driverTypes.InetAddress);
+        assume(values.visitors.remove[0]).is.instanceOf(driverTypes.InetAddress);
+      });
+
+      it('should leave null values and values that are already converted as they are', function () {
+        var views = driverTypes.Long.fromString('1');
+        var thumbnail = Buffer.from([1]);
+        assume(schema.toDriverValues({ id: null, views: views, thumbnail: thumbnail }, driverTypes))
+          .deep.equals({ id: null, views: views, thumbnail: thumbnail });
+      });
+
+      it('should leave values as they are when the driver type is not given', function () {
+        assume(schema.toDriverValues({ views: '1' }, {})).deep.equals({ views: '1' });
+      });
+
+      it('should convert values of the driver back to plain values', function () {
+        var row = schema.fromDriverValues(schema.toDriverValues({
+          id: '00000000-0000-0000-0000-000000000000',
+          views: '9223372036854775807',
+          price: 1.5,
+          thumbnail: '4a75',
+          counts: { a: '1' },
+          visitors: ['10.0.0.1'],
+          position: ['1', 'one'],
+          owner: { id: '00000000-0000-0000-0000-000000000001' },
+          name: null
+        }, driverTypes));
+        assume(row).deep.equals({
+          id: '00000000-0000-0000-0000-000000000000',
+          views: '9223372036854775807',
+          price: '1.5',
+          thumbnail: Buffer.from([0x4a, 0x75]),
+          counts: { a: '1' },
+          visitors: ['10.0.0.1'],
+          position: ['1', 'one'],
+          owner: { id: '00000000-0000-0000-0000-000000000001' },
+          name: null
+        });
+      });
+    });
+
+    describe('.statements', function () {
+      var statements = joiOfCql.object({
+        artist_id: joiOfCql.cql.uuid(),
+        released: joiOfCql.cql.date(),
+        album_id: joiOfCql.cql.timeuuid(),
+        name: joiOfCql.cql.text(),
+        tags: joiOfCql.cql.set(joiOfCql.cql.text()),
+        tracks: joiOfCql.cql.list(joiOfCql.cql.text()),
+        credits: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.text())
+      }).partitionKey('artist_id')
+        .clusteringKey(['released', 'album_id'])
+        .rename('id', 'album_id')
+        .statements('albums', { keyspace: 'music' });
+
+      describe('.insert', function () {
+        it('should insert the given columns', function () {
+          assume(statements.insert({
+            artist_id: 'a',
+            released: '1991-09-24',
+            id: 'b',
+            tags: ['grunge'],
+            name: undefined
+          })).deep.equals({
+            query: 'INSERT INTO music.albums (artist_id, released, album_id, tags) VALUES (?, ?, ?, ?)',
+            params: ['a', '1991-09-24', 'b', ['grunge']]
+          });
+        });
+
+        it('should require the primary key', function () {
+          assume(function () {
+            statements.insert({ artist_id: 'a', released: '1991-09-24' });
+          }).throws('The primary key column album_id is required to insert into albums');
+        });
+
+        it('should not insert collection updates', function () {
+          assume(function () {
+            statements.insert({ artist_id: 'a', released: '1991-09-24', album_id: 'b', tags: { add: ['grunge'] } });
+          }).throws('The update of tags cannot be inserted into albums');
+        });
+
+        it('should throw for unknown columns', function () {
+          assume(function () {
+            statements.insert({ artist_id: 'a', released: '1991-09-24', album_id: 'b', label: 'Sub Pop' });
+          }).throws('label is not a column of albums');
+        });
+      });
+
+      describe('.update', function () {
+        var keys = { artist_id: 'a', released: '1991-09-24', id: 'b' };
+
+        it('should update the given columns of a row', function () {
+          assume(statements.update(keys, { name: 'Nevermind', credits: { producer: 'Butch Vig' } })).deep.equals({
+            query: 'UPDATE music.albums SET name = ?, credits = ? WHERE artist_id = ? AND released = ? AND album_id = ?',
+            params: ['Nevermind', { producer: 'Butch Vig' }, 'a', '1991-09-24', 'b']
+          });
+        });
+
+        it('should translate set updates', function () {
+          assume(statements.update(keys, { tags: { add: ['grunge'], remove: ['pop'] } })).deep.equals({
+            query: 'UPDATE music.albums SET tags = tags + ?, tags = tags - ? ' +
+              'WHERE artist_id = ? AND released = ? AND album_id = ?',
+            params: [['grunge'], ['pop'], 'a', '1991-09-24', 'b']
+          });
+        });
+
+        it('should add to and remove from a set in the same statement', function () {
+          assume(statements.update(keys, { tags: { add: ['grunge', 'rock'], remove: ['grunge'] } })).deep.equals({
+            query: 'UPDATE music.albums SET tags = tags + ?, tags = tags - ? ' +
+              'WHERE artist_id = ? AND released = ? AND album_id = ?',
+            params: [['grunge', 'rock'], ['grunge'], 'a', '1991-09-24', 'b']
+          });
+        });
+
+        it('should throw for unknown updates of collections and counters', function () {
+          var counters = joiOfCql.object({ id: joiOfCql.cql.uuid(), plays: joiOfCql.cql.counter() })
+            .partitionKey('id')
+            .statements('plays');
+          assume(function () {
+            statements.update(keys, { tags: { bogus: ['grunge'] } });
+          }).throws('bogus is not an update of the set column tags of albums');
+          assume(function () {
+            statements.update(keys, { tags: { add: ['grunge'], append: ['rock'] } });
+          }).throws('append is not an update of the set column tags of albums');
+          assume(function () {
+            statements.update(keys, { tracks: { add: ['Outro'] } });
+          }).throws('add is not an update of the list column tracks of albums');
+          assume(function () {
+            counters.update({ id: 'a' }, { plays: { add: 1 } });
+          }).throws('add is not an update of the counter column plays of plays');
+        });
+
+        it('should translate list updates', function () {
+          var statement = statements.update(keys, {
+            tracks: { prepend: ['Intro'], append: ['Endless, Nameless'], remove: ['Demo'], index: { 2: 'Come as You Are' } }
+          });
+          assume(statement.query).equals('UPDATE music.albums SET tracks = ? + tracks, tracks = tracks + ?, ' +
+            'tracks = tracks - ?, tracks[?] = ? WHERE artist_id = ? AND released = ? AND album_id = ?');
+          assume(statement.params).deep.equals([
+            ['Intro'], ['Endless, Nameless'], ['Demo'], 2, 'Come as You Are', 'a', '1991-09-24', 'b'
+          ]);
+        });
+
+        it('should replace whole collections', function () {
+          assume(statements.update(keys, { tags: ['grunge'] }).query).contains('SET tags = ? WHERE');
+        });
+
+        it('should require the whole primary key', function () {
+          assume(function () {
+            statements.update({ artist_id: 'a', released: '1991-09-24' }, { name: 'Nevermind' });
+          }).throws('The clustering key column album_id of albums is required');
+          assume(function () {
+            statements.update({ released: '1991-09-24', album_id: 'b' }, { name: 'Nevermind' });
+          }).throws('The partition key column artist_id of albums is required');
+        });
+
+        it('should not update primary key columns', function () {
+          assume(function () {
+            statements.update(keys, { released: '1991-09-23' });
+          }).throws('The primary key column released of albums cannot be updated');
+        });
+
+        it('should not update immutable columns', function () {
+          var immutable = joiOfCql.object({ id: joiOfCql.cql.uuid(), created: joiOfCql.cql.timestamp().immutable() })
+            .partitionKey('id')
+            .statements('albums');
+          assume(function () {
+            immutable.update({ id: 'a' }, { created: '1991-09-24' });
+          }).throws('The immutable column created of albums cannot be updated');
+        });
+
+        it('should not update frozen collections partially', function () {
+          var frozen = joiOfCql.object({
+            id: joiOfCql.cql.uuid(),
+            tags: joiOfCql.cql.frozen(joiOfCql.cql.set(joiOfCql.cql.text())),
+            tracks: joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.text()))
+          }).partitionKey('id').statements('albums');
+          assume(function () {
+            frozen.update({ id: 'a' }, { tags: { add: ['grunge'] } });
+          }).throws('The frozen column tags of albums can only be replaced as a whole');
+          assume(function () {
+            frozen.update({ id: 'a' }, { tracks: { index: { 0: 'Intro' } } });
+          }).throws('The frozen column tracks of albums can only be replaced as a whole');
+          assume(function () {
+            frozen.insert({ id: 'a', tracks: { append: ['Outro'] } });
+          }).throws('The update of tracks cannot be inserted into albums');
+          assume(frozen.update({ id: 'a' }, { tracks: ['Intro'] }).query).equals('UPDATE albums SET tracks = ? WHERE id = ?');
+        });
+
+        it('should require changes', function () {
+          assume(function () {
+            statements.update(keys, { name: undefined });
+          }).throws('There are no columns to update in albums');
+        });
+      });
+
+      describe('with write options', function () {
+        var keys = { artist_id: 'a', released: '1991-09-24', id: 'b' };
+
+        it('should insert with a TTL and a timestamp', function () {
+          assume(statements.insert(Object.assign({ name: 'Nevermind' }, keys), { ttl: 3600, timestamp: '1727000000000000' }))
+            .deep.equals({
+              query: 'INSERT INTO music.albums (name, artist_id, released, album_id) VALUES (?, ?, ?, ?) ' +
+                'USING TTL ? AND TIMESTAMP ?',
+              params: ['Nevermind', 'a', '1991-09-24', 'b', 3600, '1727000000000000']
+            });
+        });
+
+        it('should update with a TTL', function () {
+          assume(statements.update(keys, { name: 'Nevermind' }, { ttl: 3600 })).deep.equals({
+            query: 'UPDATE music.albums USING TTL ? SET name = ? WHERE artist_id = ? AND released = ? AND album_id = ?',
+            params: [3600, 'Nevermind', 'a', '1991-09-24', 'b']
+          });
+        });
+
+        it('should delete with a timestamp', function () {
+          assume(statements.remove({ artist_id: 'a' }, { timestamp: 1727000000000000 })).deep.equals({
+            query: 'DELETE FROM music.albums USING TIMESTAMP ? WHERE artist_id = ?',
+            params: [1727000000000000, 'a']
+          });
+          assume(function () {
+            statements.remove({ artist_id: 'a' }, { ttl: 3600 });
+          }).throws('The rows of albums cannot be deleted with a ttl');
+        });
+
+        it('should throw for options that are not valid', function () {
+          assume(function () {
+            statements.update(keys, { name: 'Nevermind' }, { ttl: 630720001 });
+          }).throws('The write options of albums are not valid: ' +
+            '"ttl" must be less than or equal to 630720000');
+        });
+      });
+
+      describe('of counter tables', function () {
+        var counters = joiOfCql.object({
+          page: joiOfCql.cql.text(),
+          views: joiOfCql.cql.counter(),
+          clicks: joiOfCql.cql.counter()
+        }).partitionKey('page').statements('page_counts');
+
+        it('should translate increments and decrements', function () {
+          assume(counters.update({ page: '/' }, { views: { increment: 1 }, clicks: { decrement: 2 } })).deep.equals({
+            query: 'UPDATE page_counts SET views = views + ?, clicks = clicks - ? WHERE page = ?',
+            params: [1, 2, '/']
+          });
+        });
+
+        it('should not assign counters', function () {
+          assume(function () {
+            counters.update({ page: '/' }, { views: 1 });
+          }).throws('The counter column views of page_counts can only be incremented or decremented');
+        });
+
+        it('should not write with a TTL or a timestamp', function () {
+          assume(function () {
+            counters.update({ page: '/' }, { views: { increment: 1 } }, { timestamp: 1 });
+          }).throws('The writes of the counter table page_counts cannot have a timestamp');
+        });
+
+        it('should not insert rows', function () {
+          assume(function () {
+            counters.insert({ page: '/', views: 1 });
+          }).throws('Rows cannot be inserted into the counter table page_counts, it can only be updated');
+        });
+      });
+
+      describe('.remove', function () {
+        it('should delete a partition', function () {
+          assume(statements.remove({ artist_id: 'a' })).deep.equals({
+            query: 'DELETE FROM music.albums WHERE artist_id = ?',
+            params: ['a']
+          });
+        });
+
+        it('should delete a clustering key prefix', function () {
+          assume(statements.remove({ artist_id: 'a', released: '1991-09-24' }).query)
+            .equals('DELETE FROM music.albums WHERE artist_id = ? AND released = ?');
+        });
+
+        it('should not skip clustering columns', function () {
+          assume(function () {
+            statements.remove({ artist_id: 'a', id: 'b' });
+          }).throws('album_id of albums cannot be restricted without ALLOW FILTERING because the clustering columns ' +
+            'before it are not restricted');
+        });
+      });
+
+      describe('.find', function () {
+        it('should select every row', function () {
+          assume(statements.find()).deep.equals({ query: 'SELECT * FROM music.albums', params: [] });
+        });
+
+        it('should select the rows of a partition', function () {
+          assume(statements.find({ artist_id: 'a' }, { fields: ['name', 'id'], limit: 10 })).deep.equals({
+            query: 'SELECT name, album_id FROM music.albums WHERE artist_id = ? LIMIT ?',
+            params: ['a', 10]
+          });
+        });
+
+        it('should select with IN restrictions', function () {
+          assume(statements.find({ artist_id: ['a', 'b'], released: '1991-09-24' })).deep.equals({
+            query: 'SELECT * FROM music.albums WHERE artist_id IN ? AND released = ?',
+            params: [['a', 'b'], '1991-09-24']
+          });
+        });
+
+        it('should select the rows of a partition in reverse', function () {
+          var ordered = joiOfCql.object({
+            artist_id: joiOfCql.cql.uuid(),
+            released: joiOfCql.cql.date(),
+            album_id: joiOfCql.cql.timeuuid()
+          }).partitionKey('artist_id').clusteringKey([{ released: 'desc' }, 'album_id']).statements('albums');
+          assume(ordered.find({ artist_id: 'a' }, { reverse: true, limit: 1 })).deep.equals({
+            query: 'SELECT * FROM albums WHERE artist_id = ? ORDER BY released ASC, album_id DESC LIMIT ?',
+            params: ['a', 1]
+          });
+          assume(function () {
+            ordered.find({}, { reverse: true });
+          }).throws('The rows of albums can only be ordered within a partition by its clustering key');
+        });
+
+        it('should reject queries that need ALLOW FILTERING', function () {
+          assume(function () {
+            statements.find({ name: 'Nevermind' });
+          }).throws('name of albums cannot be restricted without ALLOW FILTERING because it is not part of the primary key');
+          assume(function () {
+            statements.find({ released: '1991-09-24' });
+          }).throws('The partition key column artist_id of albums is required');
+        });
+
+        it('should throw for unknown fields', function () {
+          assume(function () {
+            statements.find({ artist_id: 'a' }, { fields: ['label'] });
+          }).throws('label is not a column of albums');
+        });
+      });
+    });
+
+    describe('.validateFor', function () {
+      var schema = joiOfCql.object({
+        artist_id: joiOfCql.cql.uuid(),
+        album_id: joiOfCql.cql.timeuuid(),
+        name: joiOfCql.cql.text(),
+        label: joiOfCql.cql.text().allow(null),
+        notes: joiOfCql.cql.text().optional(),
+        created: joiOfCql.cql.timestamp({ default: 'create' }),
+        tags: joiOfCql.cql.set(joiOfCql.cql.text())
+      }).partitionKey('artist_id')
+        .clusteringKey('album_id')
+        .rename('id', 'album_id');
+      var keys = { artist_id: uuid.v4(), id: uuid.v1() };
+
+      /**
+       * Find the message of the error of a validation.
+       *
+       * @param {Object} result - the result of the validation
+       * @returns {(String|Null)} - the message of the error, if there is one
+       */
+      function errorOf(result) {
+        return result.error && result.error.details.map(function (detail) {
+          return detail.message;
+        }).join(', ');
+      }
+
+      it('should require the columns without null or a default when creating a row', function () {
+        var result = schema.validateFor('create', Object.assign({ name: 'Nevermind', tags: ['grunge'] }, keys));
+        assume(result.error).equals(null);
+        assume(result.value.album_id).equals(keys.id);
+        assume(result.value.created).is.a('string');
+        assume(errorOf(schema.validateFor('create', Object.assign({ tags: ['grunge'] }, keys))))
+          .equals('"name" is required');
+      });
+
+      it('should not allow collection updates when creating a row', function () {
+        assume(errorOf(schema.validateFor('create', Object.assign({ name: 'Nevermind', tags: { add: ['grunge'] } }, keys))))
+          .equals('"tags" must be an array');
+      });
+
+      it('should allow partial updates', function () {
+        var result = schema.validateFor('update', Object.assign({ tags: { add: ['grunge'] } }, keys));
+        assume(result.error).equals(null);
+        assume(result.value).deep.equals({ artist_id: keys.artist_id, album_id: keys.id, tags: { add: ['grunge'] } });
+      });
+
+      it('should require the whole primary key for every operation', function () {
+        ['create', 'update', 'delete'].forEach(function (operation) {
+          assume(errorOf(schema.validateFor(operation, { artist_id: keys.artist_id, name: 'Nevermind', tags: [] })))
+            .equals('"album_id" is required');
+        });
+        assume(schema.validateFor('delete', keys).error).equals(null);
+      });
+
+      it('should not allow immutable columns in an update', function () {
+        var immutable = schema.keys({ created: joiOfCql.cql.timestamp({ default: 'create' }).immutable() });
+        var created = immutable.validateFor('create', Object.assign({ name: 'Nevermind', tags: [] }, keys));
+        assume(created.error).equals(null);
+        assume(created.value.created).is.a('string');
+        assume(immutable.validateFor('update', Object.assign({ name: 'Nevermind' }, keys)).error).equals(null);
+        assume(errorOf(immutable.validateFor('update', Object.assign({ created: created.value.created }, keys))))
+          .equals('"created" is not allowed');
+      });
+
+      it('should not allow immutable columns that are modified after they are marked', function () {
+        var immutable = schema.keys({ label: joiOfCql.cql.text().immutable().allow(null) });
+        assume(immutable.toCql().label).deep.equals({ cql: true, type: 'text', immutable: true });
+        assume(immutable.validateFor('create', Object.assign({ name: 'Nevermind', tags: [], label: null }, keys)).error)
+          .equals(null);
+        assume(errorOf(immutable.validateFor('update', Object.assign({ label: null }, keys))))
+          .equals('"label" is not allowed');
+        assume(errorOf(immutable.validateFor('update', Object.assign({ label: 'DGC' }, keys))))
+          .equals('"label" is not allowed');
+      });
+
+      it('should allow immutable columns of the primary key in an update', function () {
+        var immutable = schema.keys({ artist_id: joiOfCql.cql.uuid().immutable() });
+        assume(immutable.validateFor('update', Object.assign({ name: 'Nevermind' }, keys)).error).equals(null);
+        assume(errorOf(immutable.validateFor('update', { id: keys.id, name: 'Nevermind' })))
+          .equals('"artist_id" is required');
+      });
+
+      it('should pass the operation in the context', function () {
+        var counters = joiOfCql.object({ page: joiOfCql.cql.text(), views: joiOfCql.cql.counter() }).partitionKey('page');
+        assume(counters.validateFor('update', { page: '/', views: 1 }, { context: { user: 'a' } }).error).is.instanceOf(Error);
+        assume(counters.validateFor('update', { page: '/', views: { increment: 1 } }).error).equals(null);
+      });
+
+      it('should leave the schema as it is', function () {
+        schema.validateFor('create', keys);
+        assume(joiOfCql.validate({ tags: { add: ['grunge'] } }, schema, { context: {} }).error).equals(null);
+      });
+
+      it('should only validate for known operations', function () {
+        assume(function () {
+          schema.validateFor('upsert', keys);
+        }).throws('Values can only be validated for the create, update or delete operations, not upsert');
+      });
+    });
+
+    describe('.validateCqlSchema', function () {
+      var columns = {
+        car_id: joiOfCql.cql.uuid(),
+        model_year: joiOfCql.cql.int(),
+        name: joiOfCql.cql.text()
+      };
+
+      it('should return no errors for a valid schema', function () {
+        var schema = joiOfCql.object(columns).partitionKey('car_id').clusteringKey('model_year').lookupKeys('name');
+        assume(schema.validateCqlSchema()).deep.equals([]);
+      });
+
+      it('should find keys that are not columns', function () {
+        var schema = joiOfCql.object(columns).partitionKey('car_idd').clusteringKey(['model_year', 'make']).lookupKeys('nmae');
+        assume(schema.validateCqlSchema()).deep.equals([
+          { type: 'cql.partitionKey.unknown', path: ['car_idd'], message: 'car_idd of the partitionKey is not a column' },
+          { type: 'cql.clusteringKey.unknown', path: ['make'], message: 'make of the clusteringKey is not a column' },
+          { type: 'cql.lookupKeys.unknown', path: ['nmae'], message: 'nmae of the lookupKeys is not a column' }
+        ]);
+      });
+
+      it('should require a partition key', function () {
+        assume(joiOfCql.object(columns).validateCqlSchema()).deep.equals([
+          { type: 'cql.partitionKey.required', path: [], message: 'a partitionKey is required' }
+        ]);
+      });
+
+      it('should find static columns in tables that cannot have them', function () {
+        var schema = joiOfCql.object(columns).keys({
+          model_year: joiOfCql.cql.int().static(),
+          name: joiOfCql.cql.text().static()
+        });
+        assume(schema.partitionKey('car_id').clusteringKey('model_year').validateCqlSchema()).deep.equals([{
+          type: 'cql.static.key',
+          path: ['model_year'],
+          message: 'model_year cannot be static because it is part of the primary key'
+        }]);
+        assume(schema.partitionKey(['car_id', 'model_year']).validateCqlSchema().map(function (error) {
+          return error.type;
+        })).deep.equals(['cql.static.key', 'cql.static.clusteringKey']);
+        assume(schema.partitionKey('car_id').validateCqlSchema()[1].message)
+          .equals('name cannot be static because the table has no clusteringKey');
+      });
+
+      it('should find TTLs that Cassandra does not allow', function () {
+        var schema = joiOfCql.object({
+          page: joiOfCql.cql.text().ttl(60),
+          views: joiOfCql.cql.counter().ttl(60)
+        }).partitionKey('page').defaultTtl(60);
+        assume(schema.validateCqlSchema()).deep.equals([
+          { type: 'cql.ttl.key', path: ['page'], message: 'page cannot have a TTL because it is part of the primary key' },
+          { type: 'cql.ttl.counter', path: ['views'], message: 'views cannot have a TTL because it is a counter' },
+          { type: 'cql.defaultTtl.counter', path: [], message: 'a table with counter columns cannot have a defaultTtl' }
+        ]);
+      });
+
+      it('should find columns in both the partition and clustering keys', function () {
+        var errors = joiOfCql.object(columns).partitionKey('car_id').clusteringKey('car_id').validateCqlSchema();
+        assume(errors).deep.equals([{
+          type: 'cql.clusteringKey.duplicate',
+          path: ['car_id'],
+          message: 'car_id cannot be in both the partitionKey and the clusteringKey'
+        }]);
+      });
+
+      it('should find key columns that cannot be keys', function () {
+        var errors = joiOfCql.object({
+          tags: joiOfCql.cql.set(joiOfCql.cql.text()),
+          details: joiOfCql.cql.json(),
+          views: joiOfCql.cql.counter(),
+          frozen_tags: joiOfCql.cql.frozen(joiOfCql.cql.set(joiOfCql.cql.text())),
+          address: joiOfCql.cql.udt('address', { street: joiOfCql.cql.text() }),
+          home: joiOfCql.cql.frozen(joiOfCql.cql.udt('address', { street: joiOfCql.cql.text() })),
+          name: joiOfCql.cql.text()
+        }).partitionKey(['tags', 'details', 'home']).clusteringKey(['views', 'frozen_tags', 'address']).validateCqlSchema();
+        assume(errors).deep.equals([
+          { type: 'cql.key.type', path: ['tags'], message: 'tags cannot be part of the primary key because it is a set' },
+          { type: 'cql.key.type', path: ['details'], message: 'details cannot be part of the primary key because it is json' },
+          { type: 'cql.key.type', path: ['views'], message: 'views cannot be part of the primary key because it is a counter' },
+          { type: 'cql.key.type', path: ['address'], message: 'address cannot be part of the primary key because it is a udt' }
+        ]);
+      });
+
+      it('should find counter columns mixed with non-counter columns', function () {
+        var schema = joiOfCql.object(columns).keys({ views: joiOfCql.cql.counter() }).partitionKey('car_id');
+        assume(schema.validateCqlSchema()).deep.equals([{
+          type: 'cql.counter.mixed',
+          path: [],
+          message: 'counter columns cannot be in the same table as the non-counter columns model_year, name'
+        }]);
+        assume(schema.clusteringKey(['model_year', 'name']).validateCqlSchema()).deep.equals([]);
+      });
+
+      it('should find columns that are not CQL types', function () {
+        var schema = joiOfCql.object(columns).keys({ notes: joiOfCql.string() }).partitionKey('car_id');
+        assume(schema.validateCqlSchema()).deep.equals([
+          { type: 'cql.column.type', path: ['notes'], message: 'notes is not a CQL type' }
+        ]);
+      });
+
+      it('should find indexes that Cassandra does not allow', function () {
+        var schema = joiOfCql.object(columns).keys({
+          views: joiOfCql.cql.counter(),
+          tags: joiOfCql.cql.set(joiOfCql.cql.text())
+        }).partitionKey('car_id');
+        assume(schema.index('color').index('views').index('car_id').index('tags', { target: 'keys' })
+          .index('name', { target: 'values' }).index('tags', { target: 'values' }).validateCqlSchema().slice(1)).deep.equals([
+          { type: 'cql.index.unknown', path: ['color'], message: 'color of an index is not a column' },
+          { type: 'cql.index.type', path: ['views'], message: 'views cannot be indexed because it is a counter' },
+          {
+            type: 'cql.index.partitionKey',
+            path: ['car_id'],
+            message: 'car_id cannot be indexed because it is the whole partitionKey'
+          },
+          { type: 'cql.index.target', path: ['tags'], message: 'tags cannot be indexed with KEYS() because it is a set' },
+          { type: 'cql.index.target', path: ['name'], message: 'name cannot be indexed with VALUES() because it is a text' }
+        ]);
+      });
+
+      it('should find materialized views that Cassandra does not allow', function () {
+        var schema = joiOfCql.object(columns).keys({ tags: joiOfCql.cql.set(joiOfCql.cql.text()) })
+          .partitionKey('car_id').clusteringKey('model_year');
+        assume(schema.materializedView('cars_by_name', { partitionKey: 'name', clusteringKey: ['car_id', 'model_year'] })
+          .validateCqlSchema()).deep.equals([]);
+        assume(schema.materializedView('cars_by_tags', { clusteringKey: ['car_id', 'tags'], columns: ['color'] })
+          .validateCqlSchema()).deep.equals([
+          {
+            type: 'cql.materializedView.partitionKey',
+            path: [],
+            message: 'the materialized view cars_by_tags requires a partitionKey'
+          },
+          {
+            type: 'cql.materializedView.unknown',
+            path: ['color'],
+            message: 'color of the materialized view cars_by_tags is not a column'
+          },
+          {
+            type: 'cql.materializedView.primaryKey',
+            path: ['model_year'],
+            message: 'model_year of the primary key must be part of the primary key of the materialized view cars_by_tags'
+          },
+          {
+            type: 'cql.materializedView.type',
+            path: ['tags'],
+            message: 'tags cannot be part of the primary key of the materialized view cars_by_tags because it is a set'
+          }
+        ]);
+        assume(schema.materializedView('cars', { partitionKey: ['name', 'tags'], clusteringKey: ['car_id', 'model_year'] })
+          .validateCqlSchema()[0].type).equals('cql.materializedView.keys');
+      });
+
+      it('should collect every error', function () {
+        var schema = joiOfCql.object(columns).keys({ notes: joiOfCql.string() }).partitionKey('id').lookupKeys('nmae');
+        assume(schema.validateCqlSchema().length).equals(3);
+      });
+    });
+
+    describe('.diffCql', function () {
+      var previous = joiOfCql.object({
+        car_id: joiOfCql.cql.uuid(),
+        model_year: joiOfCql.cql.int(),
+        name: joiOfCql.cql.varchar(),
+        color: joiOfCql.cql.text(),
+        drivers: joiOfCql.cql.set(joiOfCql.cql.uuid())
+      }).partitionKey('car_id').clusteringKey('model_year');
+
+      it('should find the added, dropped and changed columns', function () {
+        var diff = previous.diffCql(joiOfCql.object({
+          car_id: joiOfCql.cql.uuid(),
+          model_year: joiOfCql.cql.int(),
+          name: joiOfCql.cql.text(),
+          drivers: joiOfCql.cql.list(joiOfCql.cql.uuid()),
+          owners: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.uuid())
+        }).partitionKey('car_id').clusteringKey('model_year'));
+        assume(diff.added).deep.equals([{ name: 'owners', type: 'map<text, uuid>' }]);
+        assume(diff.dropped).deep.equals([{ name: 'color', type: 'text' }]);
+        assume(diff.changed).deep.equals([{ name: 'drivers', from: 'set<uuid>', to: 'list<uuid>' }]);
+        assume(diff.errors).deep.equals([{
+          type: 'cql.alter.type',
+          path: ['drivers'],
+          message: 'the type of drivers cannot be changed from set<uuid> to list<uuid>'
+        }]);
+      });
+
+      it('should flag changes to the primary key', function () {
+        var next = previous.keys({ id: joiOfCql.cql.uuid() }).partitionKey(['car_id', 'id']).clusteringKey(null);
+        var diff = previous.diffCql(next);
+        assume(diff.added).deep.equals([{ name: 'id', type: 'uuid' }]);
+        assume(diff.errors.map(function (error) {
+          return error.type;
+        })).deep.equals(['cql.alter.partitionKey', 'cql.alter.clusteringKey']);
+        assume(diff.errors[0].message).equals('the partitionKey cannot be changed from ["car_id"] to ["car_id","id"]');
+      });
+
+      it('should flag mixing counter and non-counter columns', function () {
+        var counters = joiOfCql.object({ id: joiOfCql.cql.uuid(), views: joiOfCql.cql.counter() }).partitionKey('id');
+        var diff = counters.diffCql(counters.keys({ name: joiOfCql.cql.text(), likes: joiOfCql.cql.counter() }));
+        assume(diff.errors).deep.equals([{
+          type: 'cql.alter.counter',
+          path: ['name'],
+          message: 'name cannot be added because counter and non-counter columns cannot be in the same table'
+        }]);
+        assume(previous.diffCql(previous.keys({ views: joiOfCql.cql.counter() })).errors[0].type).equals('cql.alter.counter');
+      });
+
+      it('should flag changes to static columns', function () {
+        var diff = previous.diffCql(previous.keys({ color: joiOfCql.cql.text().static() }));
+        assume(diff.errors).deep.equals([{
+          type: 'cql.alter.static',
+          path: ['color'],
+          message: 'color cannot be changed to a static column'
+        }]);
+      });
+
+      it('should flag static columns that are added to tables without a clustering key', function () {
+        var unclustered = previous.clusteringKey(null);
+        var diff = unclustered.diffCql(unclustered.keys({ owner: joiOfCql.cql.text().static() }));
+        assume(diff.errors).deep.equals([{
+          type: 'cql.static.clusteringKey',
+          path: ['owner'],
+          message: 'owner cannot be static because the table has no clusteringKey'
+        }]);
+      });
+
+      it('should flag changes to the clustering order', function () {
+        var diff = previous.diffCql(previous.clusteringKey({ model_year: 'desc' }));
+        assume(diff.errors).deep.equals([{
+          type: 'cql.alter.clusteringOrder',
+          path: [],
+          message: 'the clusteringOrder cannot be changed from {"model_year":"asc"} to {"model_year":"desc"}'
+        }]);
+      });
+
+      it('should flag columns that are not CQL types', function () {
+        var diff = previous.diffCql(previous.keys({ notes: joiOfCql.string() }));
+        assume(diff.errors).deep.equals([{ type: 'cql.column.type', path: ['notes'], message: 'notes is not a CQL type' }]);
+      });
+
+      it('should not find differences in an identical schema', function () {
+        assume(previous.diffCql(previous)).deep.equals({ added: [], dropped: [], changed: [], errors: [] });
+      });
+    });
+
+    describe('.toAlterTable', function () {
+      var previous = joiOfCql.object({
+        car_id: joiOfCql.cql.uuid(),
+        color: joiOfCql.cql.text()
+      }).partitionKey('car_id');
+
+      it('should add and drop columns', function () {
+        var next = joiOfCql.object({
+          car_id: joiOfCql.cql.uuid(),
+          ratings: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.frozen(joiOfCql.cql.list(joiOfCql.cql.int()))),
+          modelYear: joiOfCql.cql.int()
+        }).partitionKey('car_id');
+        assume(previous.toAlterTable(next, 'cars', { keyspace: 'garage' })).deep.equals([
+          'ALTER TABLE garage.cars ADD ratings map<text, frozen<list<int>>>',
+          'ALTER TABLE garage.cars ADD "modelYear" int',
+          'ALTER TABLE garage.cars DROP color'
+        ]);
+      });
+
+      it('should add static columns', function () {
+        var clustered = previous.clusteringKey('color');
+        assume(clustered.toAlterTable(clustered.keys({ owner: joiOfCql.cql.text().static() }), 'cars'))
+          .deep.equals(['ALTER TABLE cars ADD owner text STATIC']);
+      });
+
+      it('should throw for static columns in tables without a clustering key', function () {
+        assume(function () {
+          previous.toAlterTable(previous.keys({ owner: joiOfCql.cql.text().static() }), 'cars');
+        }).throws('Table cars cannot be altered: owner cannot be static because the table has no clusteringKey');
+      });
+
+      it('should change the default TTL', function () {
+        assume(previous.toAlterTable(previous.defaultTtl(3600), 'cars'))
+          .deep.equals(['ALTER TABLE cars WITH default_time_to_live = 3600']);
+        assume(previous.defaultTtl(3600).toAlterTable(previous, 'cars'))
+          .deep.equals(['ALTER TABLE cars WITH default_time_to_live = 0']);
+      });
+
+      it('should throw for changes that are not allowed', function () {
+        assume(function () {
+          previous.toAlterTable(previous.keys({ color: joiOfCql.cql.int() }), 'cars');
+        }).throws('Table cars cannot be altered: the type of color cannot be changed from text to int');
+      });
+    });
+
+    describe('.toCreateTable', function () {
+      var carSchema = joiOfCql.object({
+        car_id: joiOfCql.cql.uuid(),
+        manufacturer_id: joiOfCql.cql.uuid(),
+        model_year: joiOfCql.cql.int(),
+        drivers: joiOfCql.cql.set(joiOfCql.cql.uuid()),
+        owners: joiOfCql.cql.map(joiOfCql.cql.text(), joiOfCql.cql.uuid()),
+        parts: joiOfCql.cql.list(joiOfCql.cql.text()),
+        details: joiOfCql.cql.json()
+      });
+
+      it('should create a table with a single partition key', function () {
+        assume(carSchema.partitionKey('car_id').toCreateTable('cars')).equals([
+          'CREATE TABLE IF NOT EXISTS cars (',
+          '  car_id uuid,',
+          '  manufacturer_id uuid,',
+          '  model_year int,',
+          '  drivers set<uuid>,',
+          '  owners map<text, uuid>,',
+          '  parts list<text>,',
+          '  details text,',
+          '  PRIMARY KEY (car_id)',
+          ')'
+        ].join('\n'));
+      });
+
+      it('should create a table with composite partition and clustering keys', function () {
+        var statement = carSchema
+          .partitionKey(['car_id', 'manufacturer_id'])
+          .clusteringKey('model_year')
+          .toCreateTable('cars', { keyspace: 'garage' });
+        assume(statement).contains('CREATE TABLE IF NOT EXISTS garage.cars (');
+        assume(statement).contains('  PRIMARY KEY ((car_id, manufacturer_id), model_year)\n)');
+      });
+
+      it('should add the clustering order and table properties', function () {
+        var statement = carSchema
+          .partitionKey('car_id')
+          .clusteringKey(['manufacturer_id', 'model_year'])
+          .toCreateTable('cars', {
+            clusteringOrder: { model_year: 'desc' },
+            properties: {
+              compaction: { class: 'LeveledCompactionStrategy' },
+              default_time_to_live: 3600,
+              comment: "owner's cars"
+            }
+          });
+        assume(statement).contains(') WITH CLUSTERING ORDER BY (manufacturer_id ASC, model_year DESC)' +
+          " AND compaction = {'class': 'LeveledCompactionStrategy'}" +
+          ' AND default_time_to_live = 3600' +
+          " AND comment = 'owner''s cars'");
+      });
+
+      it('should create static columns', function () {
+        var statement = carSchema.keys({ owner: joiOfCql.cql.text().static() })
+          .partitionKey('car_id')
+          .clusteringKey('model_year')
+          .toCreateTable('cars');
+        assume(statement).contains('  owner text STATIC,\n');
+      });
+
+      it('should throw for static columns in tables that cannot have them', function () {
+        assume(function () {
+          carSchema.keys({ owner: joiOfCql.cql.text().static() }).partitionKey('car_id').toCreateTable('cars');
+        }).throws('Table cars cannot be created: owner cannot be static because the table has no clusteringKey');
+        assume(function () {
+          carSchema.partitionKey('car_id').clusteringKey('model_year')
+            .keys({ model_year: joiOfCql.cql.int().static() }).toCreateTable('cars');
+        }).throws('Table cars cannot be created: model_year cannot be static because it is part of the primary key');
+      });
+
+      it('should add the default TTL', function () {
+        var schema = carSchema.partitionKey('car_id').defaultTtl(86400);
+        assume(schema.toCreateTable('cars')).contains(') WITH default_time_to_live = 86400');
+        assume(schema.toCreateTable('cars', { properties: { default_time_to_live: 60 } }))
+          .contains(') WITH default_time_to_live = 60');
+      });
+
+      it('should add the clustering order of the schema', function () {
+        var schema = carSchema.partitionKey('car_id').clusteringKey([{ model_year: 'desc' }, 'manufacturer_id']);
+        assume(schema.toCreateTable('cars')).contains(') WITH CLUSTERING ORDER BY (model_year DESC, manufacturer_id ASC)');
+        assume(schema.toCreateTable('cars', { clusteringOrder: { manufacturer_id: 'desc' } }))
+          .contains(') WITH CLUSTERING ORDER BY (model_year DESC, manufacturer_id DESC)');
+      });
+
+      it('should quote identifiers that are not lowercase', function () {
+        var statement = joiOfCql.object({ carId: joiOfCql.cql.uuid() }).partitionKey('carId').toCreateTable('Cars');
+        assume(statement).contains('CREATE TABLE IF NOT EXISTS "Cars" (\n  "carId" uuid,\n  PRIMARY KEY ("carId")\n)');
+      });
+
+      it('should quote identifiers that are reserved keywords', function () {
+        var statement = joiOfCql.object({ token: joiOfCql.cql.uuid(), order: joiOfCql.cql.int(), to: joiOfCql.cql.text() })
+          .partitionKey('token')
+          .clusteringKey('order')
+          .toCreateTable('table', { keyspace: 'from' });
+        assume(statement).contains('CREATE TABLE IF NOT EXISTS "from"."table" (\n  "token" uuid,\n  "order" int,\n' +
+          '  "to" text,\n  PRIMARY KEY ("token", "order")\n)');
+      });
+
+      it('should throw when there is no partition key', function () {
+        assume(function () {
+          carSchema.toCreateTable('cars');
+        }).throws(/requires a partition key/);
+      });
+
+      it('should throw when a key is not part of the schema', function () {
+        assume(function () {
+          carSchema.partitionKey('car_idd').toCreateTable('cars');
+        }).throws(/car_idd is not defined/);
+      });
+
+      it('should throw when the clustering order references a column that is not a clustering key', function () {
+        assume(function () {
+          carSchema.partitionKey('car_id').toCreateTable('cars', { clusteringOrder: { model_year: 'desc' } });
+        }).throws(/model_year is not a clustering key/);
+      });
+
+      it('should throw when a column is not a CQL type', function () {
+        assume(function () {
+          carSchema.keys({ name: joiOfCql.string() }).partitionKey('car_id').toCreateTable('cars');
+        }).throws(/name of table cars is not a CQL type/);
       });
     });
   });